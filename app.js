@@ -1,10 +1,19 @@
-// Register service worker
+// Register service worker. Its log level ('debug', 'info', 'warn', 'error' or 'silent')
+// can be switched with localStorage.setItem('ballSortSwLogLevel', 'debug') and a reload.
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js')
+    let logLevel = null;
+    try {
+      logLevel = localStorage.getItem('ballSortSwLogLevel');
+    } catch (error) {
+      // Storage is unavailable - keep the default level
+    }
+    
+    navigator.serviceWorker.register(logLevel ? `/sw.js?log=${encodeURIComponent(logLevel)}` : '/sw.js')
       .then((registration) => {
         console.log('SW registered: ', registration);
         updateStatus('Service Worker registered! 🎉');
+        watchForUpdates(registration);
       })
       .catch((registrationError) => {
         console.log('SW registration failed: ', registrationError);
@@ -13,6 +22,73 @@ if ('serviceWorker' in navigator) {
   });
 }
 
+// App updates: a new service worker waits (see sw.js) until the player taps
+// Update Now, or until the next level starts, so a deploy never swaps assets mid-level
+let updateRegistration = null;
+let reloadingForUpdate = false;
+
+function watchForUpdates(registration) {
+  // A worker already waiting from an earlier visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdateBanner(registration);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker?.addEventListener('statechange', () => {
+      // Without a controller this is the first install, not an update
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdateBanner(registration);
+      }
+    });
+  });
+
+  // The new worker took over - reload once to run the new version
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (reloadingForUpdate) {
+      window.location.reload();
+    }
+  });
+}
+
+function showUpdateBanner(registration) {
+  updateRegistration = registration;
+  delete document.getElementById('applyUpdateBtn').dataset.confirmed;
+  document.getElementById('updateMessage').textContent = '🆕 A new version is ready!';
+  document.getElementById('applyUpdateBtn').textContent = 'Update Now';
+  document.getElementById('updateBanner')?.classList.remove('hidden');
+
+  // Without the player's go-ahead the update goes in when a level next starts
+  game?.whenBetweenLevels(() => applyUpdate());
+}
+
+function applyUpdate() {
+  const waiting = updateRegistration?.waiting;
+  if (!waiting || reloadingForUpdate) return;
+
+  game?.prepareForUpdateReload();
+  reloadingForUpdate = true;
+  document.getElementById('updateMessage').textContent = '🆕 Updating...';
+  waiting.postMessage({ type: 'SKIP_WAITING' });
+}
+
+document.getElementById('applyUpdateBtn')?.addEventListener('click', () => {
+  // A time attack run or custom level can't survive the reload - check first
+  const button = document.getElementById('applyUpdateBtn');
+  if (game && !game.canKeepProgress() && !button.dataset.confirmed) {
+    button.dataset.confirmed = 'true';
+    button.textContent = 'Update Anyway';
+    document.getElementById('updateMessage').textContent = '⚠️ Updating now ends this game';
+    return;
+  }
+  applyUpdate();
+});
+
+document.getElementById('dismissUpdateBtn')?.addEventListener('click', () => {
+  document.getElementById('updateBanner')?.classList.add('hidden');
+  updateStatus('The update will install when you start your next level 🆕');
+});
+
 // PWA Install functionality
 let deferredPrompt;
 const installBtn = document.getElementById('installBtn');
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+
+/**
+ * Ball Sort Puzzle - Precache Manifest Builder
+ * Lists the app shell, the level index and the level bundle, each with a
+ * content hash, in precache-manifest.js. sw.js loads it and precaches those
+ * files on install, so a fresh install can play offline straight away.
+ * convert-levels.js and generate-levels.js rebuild it whenever the bundle changes.
+ *
+ * Usage: node build-precache.js [--check]
+ *   --check  Don't write anything - exit 1 if precache-manifest.js is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'precache-manifest.js';
+
+// Top-level files of the app shell; every script in js/ and the icons are added to these
+const SHELL_FILES = ['index.html', 'styles.css', 'app.js', 'game.js', 'manifest.json', 'releases.json'];
+
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+  const options = {
+    check: false
+  };
+
+  for (const arg of argv) {
+    if (arg === '--check') {
+      options.check = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Content hash of a file or string (first 8 hex digits of its SHA-256, as sw.js computes it)
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 8);
+}
+
+/**
+ * Files to precache, as paths relative to the app root
+ */
+function listPrecacheFiles(rootDir) {
+  const readJson = file => JSON.parse(fs.readFileSync(path.join(rootDir, file), 'utf8'));
+
+  const scripts = fs.readdirSync(path.join(rootDir, 'js'))
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .map(file => `js/${file}`);
+
+  // Icons named by the web app manifest and linked from index.html
+  const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+  const icons = [
+    ...readJson('manifest.json').icons.map(icon => icon.src),
+    ...[...html.matchAll(/href="(icons\/[^"]+)"/g)].map(match => match[1])
+  ];
+
+  const levelIndex = readJson('levels/levels-index.json');
+  const levels = ['levels/levels-index.json'];
+  if (levelIndex.bundle) {
+    levels.push(`levels/${levelIndex.bundle.file}`);
+  }
+
+  return [...new Set([...SHELL_FILES, ...scripts, ...icons, ...levels])];
+}
+
+/**
+ * Build the manifest: { version, files: { path: hash } }. The version changes
+ * whenever any file does, which gives the service worker a new cache.
+ */
+function createManifest(rootDir = __dirname) {
+  const files = {};
+  for (const file of listPrecacheFiles(rootDir)) {
+    const filePath = path.join(rootDir, file);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`${file} is listed for precaching but doesn't exist`);
+    }
+    files[file] = hashContent(fs.readFileSync(filePath));
+  }
+
+  return { version: hashContent(JSON.stringify(files)), files };
+}
+
+/**
+ * Source of precache-manifest.js
+ */
+function renderManifest(manifest) {
+  return `// Generated by build-precache.js - don't edit. Loaded by sw.js.\n` +
+    `self.PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`;
+}
+
+/**
+ * Write precache-manifest.js for the app in rootDir
+ */
+function buildPrecacheManifest(rootDir = __dirname) {
+  const manifest = createManifest(rootDir);
+  fs.writeFileSync(path.join(rootDir, MANIFEST_FILE), renderManifest(manifest));
+
+  console.log(`🗂️  Precache manifest ${manifest.version}: ${Object.keys(manifest.files).length} files`);
+  return manifest;
+}
+
+/**
+ * Compare precache-manifest.js with the files on disk. Returns a list of problems (empty if it is up to date).
+ */
+function checkPrecacheManifest(rootDir = __dirname) {
+  const manifestPath = path.join(rootDir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    return [`${MANIFEST_FILE} is missing`];
+  }
+
+  const expected = createManifest(rootDir);
+  const written = fs.readFileSync(manifestPath, 'utf8');
+  if (written === renderManifest(expected)) {
+    return [];
+  }
+
+  const match = written.match(/self\.PRECACHE_MANIFEST = ([\s\S]*);\s*$/);
+  const files = match ? JSON.parse(match[1]).files || {} : {};
+  const problems = [];
+  for (const [file, hash] of Object.entries(expected.files)) {
+    if (!(file in files)) {
+      problems.push(`${file} is not in the manifest`);
+    } else if (files[file] !== hash) {
+      problems.push(`${file} has changed`);
+    }
+  }
+  for (const file of Object.keys(files)) {
+    if (!(file in expected.files)) {
+      problems.push(`${file} is in the manifest but no longer precached`);
+    }
+  }
+
+  return problems.length > 0 ? problems : [`${MANIFEST_FILE} is out of date`];
+}
+
+// Build the manifest if called directly
+if (require.main === module) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.check) {
+      const problems = checkPrecacheManifest();
+      if (problems.length > 0) {
+        problems.forEach(problem => console.log(`❌ ${problem}`));
+        throw new Error(`${MANIFEST_FILE} is out of date - run \`node build-precache.js\``);
+      }
+      console.log(`✅ ${MANIFEST_FILE} is up to date`);
+    } else {
+      buildPrecacheManifest();
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { buildPrecacheManifest, checkPrecacheManifest, createManifest };
@@ -2,209 +2,249 @@
 
 /**
  * Ball Sort Puzzle Level Converter
- * Converts your distribution_*.json files to proper game levels
+ * Converts your distribution_*.json files to proper game levels, then bundles
+ * the levels into one file for the game (see js/levelBundle.js).
+ * Conversion is deterministic: colors are shuffled with a PRNG seeded from each
+ * source file name, so re-running it gives the same levels (see js/levelConverter.js).
+ *
+ * Usage: node convert-levels.js [--seed <seed>] [--check] [--bundle-only] [--levels-dir <dir>]
+ *   --seed <seed>  Extra seed mixed into every file's seed, for a different color layout
+ *   --check        Don't write anything - exit 1 if the level files differ from what
+ *                  the converter would write (use the same --seed they were made with)
+ *   --bundle-only  Rebuild the bundle from the existing level files without converting
+ *   --levels-dir   Levels directory (default ./levels)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { LevelConverter } = require('./js/levelConverter.js');
+const { LevelBundle } = require('./js/levelBundle.js');
+const { buildPrecacheManifest } = require('./build-precache.js');
 
-class BallSortConverter {
-  constructor() {
-    this.colors = ['red', 'blue', 'green', 'yellow', 'purple', 'orange', 'pink', 'brown', 'gray', 'cyan'];
-  }
+/**
+ * Parse command line flags
+ */
+function parseArgs(argv) {
+  const options = {
+    seed: null,
+    check: false,
+    bundleOnly: false,
+    levelsDir: './levels'
+  };
 
-  /**
-   * Convert puzzle data to game format with proper color distribution
-   */
-  convertPuzzle(puzzleData, levelId, originalNumber) {
-    const { initialState, bottleCapacities, desiredLevel, movesToSolve } = puzzleData.puzzle;
-    
-    // Calculate how many colors we need based on desiredLevel and total balls
-    const totalBalls = initialState.reduce((sum, count) => sum + count, 0);
-    const numColors = Math.ceil(totalBalls / desiredLevel);
-    const ballsPerColor = desiredLevel;
-    
-    // Create color distribution
-    const allBalls = [];
-    for (let i = 0; i < numColors; i++) {
-      const color = this.colors[i % this.colors.length];
-      for (let j = 0; j < ballsPerColor; j++) {
-        allBalls.push(color);
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--seed') {
+      options.seed = argv[++i];
+      if (options.seed === undefined) {
+        throw new Error('--seed needs a value');
       }
+    } else if (arg === '--check') {
+      options.check = true;
+    } else if (arg === '--bundle-only') {
+      options.bundleOnly = true;
+    } else if (arg === '--levels-dir') {
+      options.levelsDir = argv[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
     }
-    
-    // Shuffle the balls to create a challenging initial state
-    this.shuffleArray(allBalls);
-    
-    // Create tubes
-    const tubes = [];
-    let ballIndex = 0;
-    
-    for (let i = 0; i < initialState.length; i++) {
-      const ballCount = initialState[i];
-      const capacity = bottleCapacities[i];
-      const balls = [];
-      
-      // Fill this tube with balls
-      for (let j = 0; j < ballCount; j++) {
-        if (ballIndex < allBalls.length) {
-          balls.push(allBalls[ballIndex++]);
-        }
-      }
-      
-      tubes.push({
-        id: i,
-        balls: balls,
-        capacity: capacity
-      });
+  }
+
+  return options;
+}
+
+/**
+ * Convert every distribution file in memory, in puzzle number order.
+ * Returns [{ filename, outputFilename, gameLevel }].
+ */
+function convertDistributionFiles(levelsDir, seed = null) {
+  const converter = new LevelConverter();
+  
+  // Get all distribution files
+  const files = fs.readdirSync(levelsDir)
+    .filter(file => file.startsWith('distribution_') && file.endsWith('_solution.json'))
+    .sort((a, b) => {
+      const numA = converter.extractPuzzleNumber(a);
+      const numB = converter.extractPuzzleNumber(b);
+      return numA - numB;
+    });
+  
+  return files.map((filename, i) => {
+    const levelId = i + 1;
+    let puzzleData;
+    try {
+      puzzleData = JSON.parse(fs.readFileSync(path.join(levelsDir, filename), 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read ${filename}: ${error.message}`);
     }
+    const gameLevel = converter.convertPuzzle(puzzleData, levelId, converter.extractPuzzleNumber(filename), seed);
     
-    // Get unique colors used
-    const usedColors = [...new Set(allBalls)];
+    if (!converter.verifySolution(gameLevel)) {
+      console.warn(`⚠️  Solution steps in ${filename} do not solve the puzzle`);
+    }
     
-    return {
-      levelId: levelId,
-      name: `Level ${levelId} - Puzzle ${originalNumber}`,
-      difficulty: this.getDifficulty(movesToSolve, tubes.length, numColors),
-      tubes: tubes,
-      colors: usedColors,
-      moves: 0,
-      minMoves: movesToSolve,
-      stars: {
-        "1": Math.ceil(movesToSolve * 2.5),
-        "2": Math.ceil(movesToSolve * 1.8),
-        "3": movesToSolve
-      },
-      originalFile: `distribution_23555_4_${originalNumber}_solution.json`
-    };
-  }
+    return { filename, outputFilename: `level-${levelId.toString().padStart(3, '0')}.json`, gameLevel };
+  });
+}
+
+/**
+ * Convert all distribution files to game levels
+ */
+async function convertAllLevels({ levelsDir = './levels', seed = null } = {}) {
+  const converted = convertDistributionFiles(levelsDir, seed);
+  console.log(`Found ${converted.length} puzzle files to convert`);
+  
+  const indexPath = path.join(levelsDir, 'levels-index.json');
+  const previousIndex = fs.existsSync(indexPath) ? JSON.parse(fs.readFileSync(indexPath, 'utf8')) : {};
+  const levelIndex = {
+    ...previousIndex,
+    version: "1.0.0",
+    totalLevels: converted.length,
+    levels: [],
+    difficulties: {
+      easy: { name: "Easy", color: "#4CAF50", levels: [] },
+      medium: { name: "Medium", color: "#FF9800", levels: [] },
+      hard: { name: "Hard", color: "#F44336", levels: [] }
+    }
+  };
   
-  /**
-   * Determine difficulty based on various factors
-   */
-  getDifficulty(moves, tubeCount, colorCount) {
-    const complexity = moves + (tubeCount * 0.5) + (colorCount * 0.3);
+  // Write each converted level
+  for (const { filename, outputFilename, gameLevel } of converted) {
+    console.log(`Converting ${filename} -> ${outputFilename}`);
+    fs.writeFileSync(path.join(levelsDir, outputFilename), JSON.stringify(gameLevel, null, 2));
     
-    if (complexity <= 8) return "easy";
-    if (complexity <= 15) return "medium";
-    return "hard";
+    // Add to index
+    levelIndex.levels.push({
+      id: gameLevel.levelId,
+      file: outputFilename,
+      key: gameLevel.originalFile, // Stable identity for saved progress
+      name: gameLevel.name,
+      difficulty: gameLevel.difficulty,
+      unlocked: gameLevel.levelId === 1, // Only first level unlocked
+      completed: false,
+      stars: 0,
+      bestMoves: null
+    });
   }
   
-  /**
-   * Shuffle array in place (Fisher-Yates algorithm)
-   */
-  shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
+  // Levels that weren't converted (generated or hand-made) stay in the index after the converted ones
+  const convertedKeys = new Set(converted.map(({ gameLevel }) => gameLevel.originalFile));
+  for (const levelInfo of previousIndex.levels || []) {
+    if (convertedKeys.has(levelInfo.key)) continue;
+    if (levelIndex.levels.some(level => level.id === levelInfo.id || level.file === levelInfo.file)) {
+      console.warn(`⚠️  Level ${levelInfo.id} (${levelInfo.file}) was overwritten by a converted level`);
+      continue;
     }
+    levelIndex.levels.push(levelInfo);
   }
+  levelIndex.totalLevels = levelIndex.levels.length;
   
-  /**
-   * Extract puzzle number from filename
-   */
-  extractPuzzleNumber(filename) {
-    const match = filename.match(/distribution_23555_4_(\d+)_solution\.json/);
-    return match ? parseInt(match[1]) : null;
+  // Add to difficulty categories
+  for (const levelInfo of levelIndex.levels) {
+    levelIndex.difficulties[levelInfo.difficulty].levels.push(levelInfo.id);
   }
+  
+  // Write updated level index
+  fs.writeFileSync(indexPath, JSON.stringify(levelIndex, null, 2));
+  
+  console.log(`\n✅ Successfully converted ${converted.length} levels!`);
+  console.log(`📊 Difficulty distribution:`);
+  console.log(`   Easy: ${levelIndex.difficulties.easy.levels.length} levels`);
+  console.log(`   Medium: ${levelIndex.difficulties.medium.levels.length} levels`);
+  console.log(`   Hard: ${levelIndex.difficulties.hard.levels.length} levels`);
+  
+  return converted.map(({ gameLevel }) => gameLevel);
 }
 
 /**
- * Convert all distribution files to game levels
+ * Compare the level files with what the converter would write.
+ * Returns the names of the files that differ or are missing.
  */
-async function convertAllLevels() {
-  const converter = new BallSortConverter();
-  const levelsDir = './levels';
-  
-  try {
-    // Get all distribution files
-    const files = fs.readdirSync(levelsDir)
-      .filter(file => file.startsWith('distribution_') && file.endsWith('_solution.json'))
-      .sort((a, b) => {
-        const numA = converter.extractPuzzleNumber(a);
-        const numB = converter.extractPuzzleNumber(b);
-        return numA - numB;
-      });
-    
-    console.log(`Found ${files.length} puzzle files to convert`);
-    
-    const convertedLevels = [];
-    const levelIndex = {
-      version: "1.0.0",
-      totalLevels: files.length,
-      levels: [],
-      difficulties: {
-        easy: { name: "Easy", color: "#4CAF50", levels: [] },
-        medium: { name: "Medium", color: "#FF9800", levels: [] },
-        hard: { name: "Hard", color: "#F44336", levels: [] }
-      }
-    };
+function checkLevels({ levelsDir = './levels', seed = null } = {}) {
+  const mismatches = [];
+  
+  for (const { filename, outputFilename, gameLevel } of convertDistributionFiles(levelsDir, seed)) {
+    const outputPath = path.join(levelsDir, outputFilename);
+    const committed = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
     
-    // Convert each file
-    for (let i = 0; i < files.length; i++) {
-      const filename = files[i];
-      const puzzleNumber = converter.extractPuzzleNumber(filename);
-      const levelId = i + 1;
-      
-      try {
-        console.log(`Converting ${filename} -> level-${levelId.toString().padStart(3, '0')}.json`);
-        
-        // Read original file
-        const filePath = path.join(levelsDir, filename);
-        const puzzleData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        
-        // Convert to game format
-        const gameLevel = converter.convertPuzzle(puzzleData, levelId, puzzleNumber);
-        convertedLevels.push(gameLevel);
-        
-        // Write converted level file
-        const outputFilename = `level-${levelId.toString().padStart(3, '0')}.json`;
-        const outputPath = path.join(levelsDir, outputFilename);
-        fs.writeFileSync(outputPath, JSON.stringify(gameLevel, null, 2));
-        
-        // Add to index
-        levelIndex.levels.push({
-          id: levelId,
-          file: outputFilename,
-          name: gameLevel.name,
-          difficulty: gameLevel.difficulty,
-          unlocked: levelId === 1, // Only first level unlocked
-          completed: false,
-          stars: 0,
-          bestMoves: null
-        });
-        
-        // Add to difficulty category
-        levelIndex.difficulties[gameLevel.difficulty].levels.push(levelId);
-        
-      } catch (error) {
-        console.error(`Failed to convert ${filename}:`, error.message);
-      }
+    if (committed === null) {
+      console.log(`❌ ${outputFilename} is missing (from ${filename})`);
+      mismatches.push(outputFilename);
+    } else if (committed !== JSON.stringify(gameLevel, null, 2)) {
+      console.log(`❌ ${outputFilename} differs from the conversion of ${filename}`);
+      mismatches.push(outputFilename);
+    }
+  }
+  
+  return mismatches;
+}
+
+/**
+ * Bundle every level in levels-index.json into one minified, content-hashed
+ * file and point the index at it. Throws if the bundle and index written disagree.
+ */
+function bundleLevels(levelsDir = './levels') {
+  const indexPath = path.join(levelsDir, 'levels-index.json');
+  const levelIndex = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  
+  const levels = levelIndex.levels.map(levelInfo =>
+    JSON.parse(fs.readFileSync(path.join(levelsDir, levelInfo.file), 'utf8')));
+  
+  const bundle = LevelBundle.build(levelIndex, levels);
+  const bundleFile = LevelBundle.fileName(bundle.hash);
+  const bundleText = JSON.stringify(bundle);
+  
+  // Only the current bundle is shipped
+  for (const file of fs.readdirSync(levelsDir)) {
+    if (/^levels\.[0-9a-f]{8}\.json$/.test(file) && file !== bundleFile) {
+      fs.unlinkSync(path.join(levelsDir, file));
     }
-    
-    // Write updated level index
-    const indexPath = path.join(levelsDir, 'levels-index.json');
-    fs.writeFileSync(indexPath, JSON.stringify(levelIndex, null, 2));
-    
-    console.log(`\n✅ Successfully converted ${convertedLevels.length} levels!`);
-    console.log(`📊 Difficulty distribution:`);
-    console.log(`   Easy: ${levelIndex.difficulties.easy.levels.length} levels`);
-    console.log(`   Medium: ${levelIndex.difficulties.medium.levels.length} levels`);
-    console.log(`   Hard: ${levelIndex.difficulties.hard.levels.length} levels`);
-    
-    return convertedLevels;
-    
-  } catch (error) {
-    console.error('Failed to convert levels:', error);
-    return [];
   }
+  
+  fs.writeFileSync(path.join(levelsDir, bundleFile), bundleText);
+  levelIndex.bundle = { file: bundleFile, hash: bundle.hash, format: bundle.format };
+  fs.writeFileSync(indexPath, JSON.stringify(levelIndex, null, 2));
+  
+  // Check what actually landed on disk
+  const writtenBundle = JSON.parse(fs.readFileSync(path.join(levelsDir, bundleFile), 'utf8'));
+  const writtenIndex = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  const problems = LevelBundle.verify(writtenBundle, writtenIndex);
+  if (problems.length > 0) {
+    throw new Error(`Level bundle does not match levels-index.json:\n   ${problems.join('\n   ')}`);
+  }
+  
+  console.log(`📦 Bundled ${bundle.levels.length} levels into ${bundleFile} (${(bundleText.length / 1024).toFixed(1)} KB)`);
+  
+  // The service worker precaches the bundle by name, so the game's levels need a new precache manifest
+  if (path.resolve(levelsDir) === path.join(__dirname, 'levels')) {
+    buildPrecacheManifest(__dirname);
+  }
+  return bundle;
 }
 
 // Run conversion if called directly
 if (require.main === module) {
-  convertAllLevels().then(() => {
-    console.log('\n🎮 Level conversion complete!');
+  Promise.resolve().then(async () => {
+    const options = parseArgs(process.argv.slice(2));
+    
+    if (options.check) {
+      const mismatches = checkLevels(options);
+      if (mismatches.length > 0) {
+        throw new Error(`${mismatches.length} level file(s) don't match the converter - run \`node convert-levels.js${options.seed === null ? '' : ` --seed ${options.seed}`}\``);
+      }
+      console.log('✅ Level files match the converter');
+      return;
+    }
+    
+    if (!options.bundleOnly) {
+      await convertAllLevels(options);
+    }
+    bundleLevels(options.levelsDir);
+    console.log(options.bundleOnly ? '\n🎮 Level bundle complete!' : '\n🎮 Level conversion complete!');
+  }).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
   });
 }
 
-module.exports = { BallSortConverter, convertAllLevels };
+module.exports = { convertAllLevels, checkLevels, bundleLevels, parseArgs };
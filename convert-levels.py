@@ -4,6 +4,9 @@
 Ball Sort Puzzle Level Converter
 Converts your distribution_*.json files to proper game levels
 Since all balls are the same color, this is more like a liquid pouring puzzle
+
+The shipped levels are made with `node convert-levels.js` (seeded colors, checked
+with `--check`); output from this script won't match them.
 """
 
 import json
@@ -50,14 +53,10 @@ class BallSortConverter:
             "colors": colors,
             "moves": 0,
             "minMoves": moves_to_solve,
-            "stars": {
-                "1": max(moves_to_solve * 3, moves_to_solve + 10),
-                "2": max(moves_to_solve * 2, moves_to_solve + 5),
-                "3": moves_to_solve
-            },
             "originalFile": f"distribution_23555_4_{original_number}_solution.json",
             "puzzleType": "liquid_pouring",  # Different from color sorting
             "desiredLevel": desired_level,
+            "solutionIndexBase": 1,  # Distribution files number bottles from 1
             "solutionSteps": puzzle.get("solutionSteps", [])
         }
     
@@ -131,6 +130,7 @@ def convert_all_levels():
             level_index["levels"].append({
                 "id": level_id,
                 "file": output_filename,
+                "key": game_level["originalFile"],  # Stable identity for saved progress
                 "name": game_level["name"],
                 "difficulty": game_level["difficulty"],
                 "unlocked": level_id == 1,  # Only first level unlocked
@@ -161,3 +161,4 @@ def convert_all_levels():
 if __name__ == "__main__":
     convert_all_levels()
     print("\n🎮 Level conversion complete!")
+    print("📦 Run `node convert-levels.js --bundle-only` to rebuild the level bundle the game loads")
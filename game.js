@@ -6,21 +6,70 @@
 class BallSortGame {
   constructor() {
     this.levelManager = null;
+    this.levelPacks = null;
+    this.solverClient = new SolverClient();
+    this.history = new MoveHistory();
+    this.settings = new GameSettings();
+    this.sound = new SoundEngine(this.settings);
+    this.scoring = this.createScoring();
+    this.session = new GameSession();
+    this.releaseNotes = new ReleaseNotes();
+    this.progressTransfer = new ProgressTransfer();
+    this.playLog = new PlayLog();
+    this.timeAttack = new TimeAttack();
+    this.timeAttackRun = null;
+    this.customLevels = new CustomLevels();
+    this.levelEditor = null;
+    this.editingCustomId = null;
+    this.pendingImport = null;
+    this.currentLevelData = null;
     this.currentGameState = null;
     this.selectedTube = null;
     this.gameComplete = false;
     this.currentLevel = 1;
     
+    // 'levels' for the indexed levels, 'daily' for the daily challenge,
+    // 'timeAttack' for a run of levels against the clock, 'custom' for editor levels
+    this.playMode = 'levels';
+    this.dailyChallenge = null;
+    this.dailyDate = null;
+    this.dailyCalendarMonth = null;
+    
+    // Moves animate one at a time; input arriving meanwhile waits its turn
+    this.isAnimating = false;
+    this.inputQueue = [];
+    
+    // Focus traps of the open modals, by modal id
+    this.modalTraps = new Map();
+    
+    // A waiting app update, applied when the next level starts (see whenBetweenLevels),
+    // and whether this page load is the reload that applied one
+    this.betweenLevelsCallback = null;
+    this.reloadedForUpdate = false;
+    
+    // Level time starts on the first move; the time attack countdown runs across levels.
+    // Both pause while the tab is hidden or a modal is open.
+    this.timer = new GameTimer(() => this.updateTimerDisplay());
+    this.runTimer = new GameTimer(() => this.checkTimeAttackClock());
+    
     // UI Elements
+    this.boardRenderer = null;
+    this.pointerInput = null;
+    this.gameBoard = null;
+    this.hintOverlay = null;
     this.tubesContainer = null;
     this.moveCounter = null;
     this.currentLevelDisplay = null;
     this.targetMovesDisplay = null;
     this.statusDisplay = null;
+    this.undoButton = null;
+    this.redoButton = null;
+    this.historyTimeline = null;
+    this.historyPositionDisplay = null;
+    this.timerDisplay = null;
     
     // Game settings
     this.animationDuration = 300;
-    this.touchEnabled = 'ontouchstart' in window;
   }
 
   /**
@@ -29,9 +78,10 @@ class BallSortGame {
   async init() {
     console.log('🎮 Initializing Ball Sort Puzzle...');
     
-    // Initialize level manager
+    // Initialize level manager with the level pack played last time
     this.levelManager = new LevelManager();
-    const initialized = await this.levelManager.initialize();
+    this.levelPacks = new LevelPacks(this.levelManager);
+    const initialized = await this.initializeLevels();
     
     if (!initialized) {
       this.updateStatus('Failed to load levels 😞');
@@ -43,27 +93,59 @@ class BallSortGame {
     
     // Load saved progress
     this.levelManager.loadProgress();
+    this.dailyChallenge = new DailyChallenge();
     
-    // Load first level
-    await this.loadLevel(1);
+    // Reopen whatever was being played last time, or start at level 1
+    this.reloadedForUpdate = this.takeUpdateReloadFlag();
+    const resumed = await this.resumeSession();
     
     // Setup event listeners
     this.setupEventListeners();
     
     console.log('✅ Game initialized successfully!');
-    this.updateStatus('Game ready! Tap tubes to move balls 🎯');
+    if (!resumed) {
+      this.updateStatus('Game ready! Tap a tube then another, or drag one onto another 🎯');
+    }
+    
+    await this.checkReleaseNotes();
     return true;
   }
 
+  /**
+   * Load the active level pack, falling back to the shipped levels if it is gone or broken
+   */
+  async initializeLevels() {
+    const packId = this.levelPacks.getActiveId();
+    if (packId !== LevelPacks.BUILT_IN_ID) {
+      try {
+        const pack = await this.levelPacks.get(packId);
+        if (pack && await this.levelManager.initialize(pack)) return true;
+      } catch (error) {
+        console.error(`Failed to load level pack ${packId}:`, error);
+      }
+      
+      console.warn(`Level pack ${packId} is not available - playing the shipped levels`);
+      this.levelPacks.setActiveId(LevelPacks.BUILT_IN_ID);
+    }
+    
+    return this.levelManager.initialize();
+  }
+
   /**
    * Initialize UI elements
    */
   initializeUI() {
+    this.gameBoard = document.getElementById('gameBoard');
     this.tubesContainer = document.getElementById('tubesContainer');
     this.moveCounter = document.getElementById('moveCounter');
     this.currentLevelDisplay = document.getElementById('currentLevel');
     this.targetMovesDisplay = document.getElementById('targetMoves');
     this.statusDisplay = document.getElementById('status');
+    this.undoButton = document.getElementById('undoBtn');
+    this.redoButton = document.getElementById('redoBtn');
+    this.historyTimeline = document.getElementById('historyTimeline');
+    this.historyPositionDisplay = document.getElementById('historyPosition');
+    this.timerDisplay = document.getElementById('timerDisplay');
     
     // Ensure all elements exist
     if (!this.tubesContainer) {
@@ -71,6 +153,21 @@ class BallSortGame {
       return false;
     }
     
+    this.boardRenderer = new BoardRenderer(this.tubesContainer);
+    
+    // Taps and drags both end up in handleTubeClick / attemptMove, like the keyboard
+    this.pointerInput = new PointerInput(this.tubesContainer, {
+      canDrag: (tubeId) => this.canDragTube(tubeId),
+      previewMove: (fromTubeId, toTubeId) => PuzzleEngine.checkMove(this.currentGameState.puzzle, fromTubeId, toTubeId),
+      onTap: (tubeId, event) => this.handleTubeClick(tubeId, event),
+      onDragStart: (tubeId) => this.selectTube(tubeId),
+      onDrop: (fromTubeId, toTubeId) => this.handleTubeDrop(fromTubeId, toTubeId),
+      onCancel: () => this.deselectTube(),
+      reducedMotion: () => this.settings.isReducedMotion()
+    });
+    this.applyMotionSetting();
+    this.applyPaletteSetting();
+    
     return true;
   }
 
@@ -82,11 +179,164 @@ class BallSortGame {
     document.getElementById('resetBtn')?.addEventListener('click', () => this.resetLevel());
     document.getElementById('hintBtn')?.addEventListener('click', () => this.showHint());
     document.getElementById('levelsBtn')?.addEventListener('click', () => this.showLevelSelect());
+    document.getElementById('dailyBtn')?.addEventListener('click', () => this.showDailyChallenge());
+    document.getElementById('timeAttackBtn')?.addEventListener('click', () => this.showTimeAttack());
+    document.getElementById('editorBtn')?.addEventListener('click', () => this.showEditor());
+    document.getElementById('statsBtn')?.addEventListener('click', () => this.showStats());
+    document.getElementById('settingsBtn')?.addEventListener('click', () => this.showSettings());
+    this.undoButton?.addEventListener('click', () => this.undoMove());
+    this.redoButton?.addEventListener('click', () => this.redoMove());
+    
+    // Move timeline - scrubbing jumps to any earlier (or undone) position
+    this.historyTimeline?.addEventListener('input', (e) => {
+      this.jumpToHistory(parseInt(e.target.value, 10));
+    });
+    
+    // Keyboard shortcuts: Ctrl/Cmd+Z undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redo
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      // Text fields keep their own undo, and modals cover the board
+      if (e.target.closest?.('input, select, textarea') || this.modalTraps.size > 0) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undoMove();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        this.redoMove();
+      }
+    });
+    
+    // Board keyboard play: arrows, Enter/Space, Escape and number keys
+    document.addEventListener('keydown', (e) => this.handleBoardKeys(e));
     
     // Modal buttons
     document.getElementById('nextLevelBtn')?.addEventListener('click', () => this.nextLevel());
     document.getElementById('retryBtn')?.addEventListener('click', () => this.resetLevel());
     document.getElementById('closeLevelsBtn')?.addEventListener('click', () => this.hideLevelSelect());
+    document.getElementById('packsBtn')?.addEventListener('click', () => this.showPacks());
+    document.getElementById('closePacksBtn')?.addEventListener('click', () => this.hidePacks());
+    document.getElementById('packFile')?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.importPack(() => this.levelPacks.importFile(file));
+      e.target.value = '';
+    });
+    document.getElementById('loadPackUrlBtn')?.addEventListener('click', () => {
+      const url = document.getElementById('packUrl')?.value.trim();
+      if (url) this.importPack(() => this.levelPacks.importUrl(url));
+    });
+    document.getElementById('transferBtn')?.addEventListener('click', () => this.showTransfer());
+    document.getElementById('closeTransferBtn')?.addEventListener('click', () => this.hideTransfer());
+    document.getElementById('downloadProgressBtn')?.addEventListener('click', () => {
+      this.progressTransfer.download(this.levelManager.getProgressRecords());
+      this.updateStatus('Progress file downloaded 💾');
+    });
+    document.getElementById('copyCodeBtn')?.addEventListener('click', () => this.copyProgressCode());
+    document.getElementById('previewImportBtn')?.addEventListener('click', () => {
+      this.previewImport(document.getElementById('importCode')?.value);
+    });
+    document.getElementById('importFile')?.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      
+      let text;
+      try {
+        text = await file.text();
+      } catch (error) {
+        this.pendingImport = null;
+        this.showImportPreview({ error: `Could not read ${file.name}: ${error.message}` });
+        return;
+      }
+      this.previewImport(text);
+    });
+    document.getElementById('applyImportBtn')?.addEventListener('click', () => this.applyImport());
+    document.getElementById('playTodayBtn')?.addEventListener('click', () => {
+      this.hideDailyChallenge();
+      this.loadDailyChallenge(this.dailyChallenge.getDateKey());
+    });
+    document.getElementById('closeDailyBtn')?.addEventListener('click', () => this.hideDailyChallenge());
+    document.getElementById('prevMonthBtn')?.addEventListener('click', () => this.changeDailyMonth(-1));
+    document.getElementById('nextMonthBtn')?.addEventListener('click', () => this.changeDailyMonth(1));
+    document.getElementById('closeSettingsBtn')?.addEventListener('click', () => this.hideSettings());
+    document.getElementById('closeStatsBtn')?.addEventListener('click', () => this.hideStats());
+    document.getElementById('showTimerSetting')?.addEventListener('change', (e) => {
+      this.settings.set('showTimer', e.target.checked);
+    });
+    document.getElementById('scoringSetting')?.addEventListener('change', (e) => {
+      this.settings.set('scoringProfile', e.target.value);
+    });
+    document.getElementById('paletteSetting')?.addEventListener('change', (e) => {
+      this.settings.set('palette', e.target.value);
+    });
+    document.getElementById('volumeSetting')?.addEventListener('change', (e) => {
+      this.settings.set('volume', parseInt(e.target.value, 10));
+      this.sound.play('select');
+    });
+    document.querySelectorAll('#settingsModal input[data-setting]').forEach(input => {
+      input.addEventListener('change', () => this.settings.set(input.dataset.setting, input.checked));
+    });
+    document.getElementById('startTimeAttackBtn')?.addEventListener('click', () => this.startTimeAttack());
+    document.getElementById('closeEditorBtn')?.addEventListener('click', () => this.hideEditor());
+    document.getElementById('editorName')?.addEventListener('input', (e) => this.levelEditor.setName(e.target.value));
+    document.getElementById('editorPuzzleType')?.addEventListener('change', (e) => this.levelEditor.setPuzzleType(e.target.value));
+    document.getElementById('editorDesiredLevel')?.addEventListener('change', (e) => {
+      this.levelEditor.setDesiredLevel(parseInt(e.target.value, 10));
+    });
+    document.getElementById('addTubeBtn')?.addEventListener('click', () => this.levelEditor.addTube());
+    document.getElementById('solveLevelBtn')?.addEventListener('click', () => this.solveEditorLevel());
+    document.getElementById('newLevelBtn')?.addEventListener('click', () => {
+      this.editingCustomId = null;
+      this.levelEditor.reset();
+    });
+    document.getElementById('testPlayBtn')?.addEventListener('click', () => this.testPlayEditorLevel());
+    document.getElementById('saveCustomBtn')?.addEventListener('click', () => this.saveEditorLevel());
+    document.getElementById('exportLevelBtn')?.addEventListener('click', () => this.exportEditorLevel());
+    document.getElementById('closeTimeAttackBtn')?.addEventListener('click', () => this.hideTimeAttack());
+    document.getElementById('playAgainBtn')?.addEventListener('click', () => this.startTimeAttack());
+    document.getElementById('closeTimeAttackResultsBtn')?.addEventListener('click', () => this.leaveTimeAttack());
+    document.getElementById('motionSetting')?.addEventListener('change', (e) => {
+      this.settings.set('motion', e.target.value);
+    });
+    
+    // Re-evaluate reduced motion when the setting or the system preference changes
+    this.settings.onChange(() => this.applyMotionSetting());
+    this.settings.onChange(() => this.updateTimerDisplay());
+    this.settings.onChange((key) => {
+      if (key === 'scoringProfile' || key.startsWith('score')) {
+        this.scoring = this.createScoring();
+        this.updateStars();
+      }
+    });
+    this.settings.onChange((key) => {
+      if (key === 'palette' || key === 'ballSymbols') {
+        this.applyPaletteSetting();
+      }
+    });
+    window.matchMedia?.('(prefers-reduced-motion: reduce)').addEventListener?.('change', () => this.applyMotionSetting());
+    
+    // Hint arrows are positioned in pixels, so drop them when the layout changes
+    window.addEventListener('resize', () => this.clearHint());
+    
+    // Resume prompt
+    document.getElementById('continueBtn')?.addEventListener('click', () => this.closeModal('resumeModal'));
+    document.getElementById('closeReleaseNotesBtn')?.addEventListener('click', () => this.closeModal('releaseNotesModal'));
+    document.getElementById('restartBtn')?.addEventListener('click', () => {
+      this.closeModal('resumeModal');
+      this.resetLevel();
+    });
+    
+    // Stop the clocks and keep the saved elapsed time fresh when the app is backgrounded or closed
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.pauseTimers('hidden');
+        this.saveSession();
+      } else {
+        this.resumeTimers('hidden');
+      }
+    });
+    window.addEventListener('pagehide', () => this.saveSession());
     
     // Install prompt
     document.getElementById('dismissInstallBtn')?.addEventListener('click', () => {
@@ -106,18 +356,14 @@ class BallSortGame {
         throw new Error(`Failed to load level ${levelId}`);
       }
       
-      // Create game state
-      this.currentGameState = this.levelManager.createGameLevel(levelData);
+      this.playMode = 'levels';
       this.currentLevel = levelId;
-      this.gameComplete = false;
-      this.selectedTube = null;
-      
-      // Update UI
-      this.updateLevelDisplay();
-      this.renderGame();
+      this.startLevel(levelData);
       
       console.log(`✅ Level ${levelId} loaded: ${levelData.name}`);
-      this.updateStatus(`Level ${levelId} - Move balls between tubes! 🎯`);
+      this.updateStatus(this.currentGameState.puzzle.puzzleType === PuzzleEngine.PUZZLE_TYPES.COLOR_SORT
+        ? `Level ${levelId} - Sort each color into its own tube! 🎨`
+        : `Level ${levelId} - Move balls between tubes! 🎯`);
       
     } catch (error) {
       console.error(`Failed to load level ${levelId}:`, error);
@@ -125,6 +371,287 @@ class BallSortGame {
     }
   }
 
+  /**
+   * Load the daily challenge for a date (YYYY-MM-DD)
+   */
+  async loadDailyChallenge(dateKey) {
+    try {
+      this.updateStatus('📅 Building daily challenge...');
+      
+      // Let the status paint before generating on the main thread
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const levelData = this.levelManager.normalizeLevel(this.dailyChallenge.getPuzzle(dateKey));
+      
+      this.playMode = 'daily';
+      this.dailyDate = dateKey;
+      this.startLevel(levelData);
+      
+      const day = this.dailyChallenge.getDay(dateKey);
+      this.updateStatus(day
+        ? `📅 Daily challenge ${dateKey} - best: ${day.bestMoves} moves. Can you beat it?`
+        : `📅 Daily challenge ${dateKey} - good luck! 🎯`);
+      
+    } catch (error) {
+      console.error(`Failed to load daily challenge ${dateKey}:`, error);
+      this.updateStatus('Failed to build the daily challenge 😞');
+    }
+  }
+
+  /**
+   * Reopen the level from the saved session. Returns true if a game in progress was restored.
+   */
+  async resumeSession() {
+    const saved = this.session.load();
+    const firstLevelId = this.levelManager.getAllLevels()[0].id;
+    
+    // A level from another pack can't be reopened until that pack is played again
+    const packId = saved?.packId || LevelPacks.BUILT_IN_ID;
+    if (!saved || (saved.playMode !== 'daily' && packId !== this.levelPacks.getActiveId())) {
+      await this.loadLevel(firstLevelId);
+      return false;
+    }
+    
+    let levelData = null;
+    try {
+      levelData = saved.playMode === 'daily'
+        ? this.levelManager.normalizeLevel(this.dailyChallenge.getPuzzle(saved.dailyDate))
+        : await this.levelManager.loadLevel(saved.levelId);
+    } catch (error) {
+      console.error('Failed to load the saved level:', error);
+    }
+    
+    const restored = levelData ? this.session.restore(saved, levelData) : null;
+    if (!restored) {
+      // Stale or broken save - still reopen that level, just from the start
+      this.session.clear();
+      if (levelData && saved.playMode === 'daily') {
+        await this.loadDailyChallenge(saved.dailyDate);
+      } else {
+        await this.loadLevel(levelData ? saved.levelId : firstLevelId);
+      }
+      return false;
+    }
+    
+    this.playMode = saved.playMode;
+    if (saved.playMode === 'daily') {
+      this.dailyDate = saved.dailyDate;
+    } else {
+      this.currentLevel = saved.levelId;
+    }
+    this.startLevel(levelData, restored);
+    
+    console.log(`✅ Resumed ${saved.playMode === 'daily' ? `daily ${saved.dailyDate}` : `level ${saved.levelId}`} at move ${restored.moves}`);
+    
+    // After an update the player carries straight on - they only just left the level
+    if (this.reloadedForUpdate) {
+      this.updateStatus('Updated! Carry on where you were 🎯');
+      return true;
+    }
+    if (restored.moves > 0) {
+      this.showResumePrompt();
+    }
+    this.updateStatus('Welcome back! Pick up where you left off 🎯');
+    return true;
+  }
+
+  /**
+   * Ask whether to continue the restored game or start the level over
+   */
+  showResumePrompt() {
+    const modal = document.getElementById('resumeModal');
+    if (!modal) return;
+    
+    const summary = document.getElementById('resumeSummary');
+    if (summary) {
+      const name = this.playMode === 'daily' ? `Daily challenge ${this.dailyDate}` : `Level ${this.currentLevel}`;
+      const elapsed = Math.floor((Date.now() - this.currentGameState.startTime) / 1000);
+      const time = `${Math.floor(elapsed / 60)}:${String(elapsed % 60).padStart(2, '0')}`;
+      summary.textContent = `${name} · ${this.currentGameState.moves} moves · ${time}`;
+    }
+    
+    this.openModal(modal, () => this.closeModal('resumeModal'));
+  }
+
+  /**
+   * Save the game in progress so a reload or restart can pick it up
+   */
+  saveSession() {
+    // Time attack runs can't be resumed - the countdown would be meaningless -
+    // and custom levels live in the editor, not in the session
+    if (!this.currentGameState || this.gameComplete) return;
+    if (this.playMode === 'timeAttack' || this.playMode === 'custom') return;
+    
+    this.currentGameState.time = this.timer.getElapsed();
+    this.session.save(
+      { playMode: this.playMode, packId: this.levelPacks.getActiveId(), levelId: this.currentLevel, dailyDate: this.dailyDate },
+      this.currentLevelData,
+      this.currentGameState,
+      this.history
+    );
+  }
+
+  /**
+   * Start playing a loaded level, optionally from a verified saved session
+   */
+  startLevel(levelData, restored = null) {
+    // Whatever was being played is left unfinished
+    this.finishAttempt(PlayLog.RESULTS.ABANDONED);
+    if (this.playMode !== 'timeAttack' && this.timeAttackRun) {
+      this.cancelTimeAttack();
+    }
+    
+    // Create game state
+    this.currentLevelData = levelData;
+    this.currentGameState = this.levelManager.createGameLevel(levelData);
+    this.gameComplete = false;
+    this.selectedTube = null;
+    this.history.clear();
+    this.inputQueue = [];
+    
+    if (restored) {
+      this.currentGameState.puzzle = restored.puzzle;
+      this.currentGameState.moves = restored.moves;
+      this.currentGameState.undos = restored.undos;
+      this.currentGameState.hints = restored.hints;
+      this.currentGameState.startTime = Date.now() - restored.elapsed;
+      this.history.restore(restored.history);
+    }
+    
+    // The clock starts with the first move - a resumed game has already had it
+    this.timer.reset(restored ? restored.time : 0);
+    if (restored && restored.moves > 0) {
+      this.timer.start();
+    }
+    
+    this.currentAttempt = {
+      mode: this.playMode,
+      levelId: this.currentLevel,
+      levelKey: this.playMode === 'daily' ? `daily:${this.dailyDate}` : this.levelManager.getLevelKey(levelData),
+      levelName: levelData.name,
+      dailyDate: this.dailyDate,
+      difficulty: levelData.difficulty,
+      minMoves: levelData.minMoves
+    };
+    this.saveSession();
+    
+    // Update UI - a new level always gets fresh tubes
+    this.updateLevelDisplay();
+    this.clearHint();
+    this.boardRenderer.render(this.currentGameState.puzzle, { rebuild: true });
+    
+    // Between levels is when a waiting app update can go in without costing anything
+    if (this.betweenLevelsCallback && this.canKeepProgress() && this.currentGameState.moves === 0) {
+      const callback = this.betweenLevelsCallback;
+      this.betweenLevelsCallback = null;
+      callback();
+    }
+  }
+
+  /**
+   * Call `callback` once, the next time a level starts from scratch in a mode
+   * the session can restore - used to apply an app update between levels
+   */
+  whenBetweenLevels(callback) {
+    this.betweenLevelsCallback = callback;
+  }
+
+  /**
+   * Whether a reload would restore the game in progress. Time attack runs and
+   * custom levels aren't saved in the session.
+   */
+  canKeepProgress() {
+    return this.playMode === 'levels' || this.playMode === 'daily';
+  }
+
+  /**
+   * Save the game in progress before the page reloads to apply an update
+   */
+  prepareForUpdateReload() {
+    this.saveSession();
+    try {
+      sessionStorage.setItem(BallSortGame.UPDATE_RELOAD_KEY, '1');
+    } catch (error) {
+      // Without the flag the player just gets the usual resume prompt
+    }
+  }
+
+  /**
+   * Whether this page load is the reload that applied an update (and forget it)
+   */
+  takeUpdateReloadFlag() {
+    try {
+      const reloaded = sessionStorage.getItem(BallSortGame.UPDATE_RELOAD_KEY) === '1';
+      sessionStorage.removeItem(BallSortGame.UPDATE_RELOAD_KEY);
+      return reloaded;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Show the notes of any releases since the version the player last ran
+   */
+  async checkReleaseNotes() {
+    try {
+      const releases = await this.releaseNotes.checkForNew();
+      if (releases.length > 0) {
+        this.showReleaseNotes(releases);
+      }
+    } catch (error) {
+      console.warn('Failed to check release notes:', error);
+    }
+  }
+
+  /**
+   * Show the release notes modal
+   */
+  showReleaseNotes(releases) {
+    const modal = document.getElementById('releaseNotesModal');
+    const list = document.getElementById('releaseNotesList');
+    if (!modal || !list) return;
+    
+    list.innerHTML = '';
+    for (const release of releases) {
+      const heading = document.createElement('h3');
+      heading.textContent = release.date ? `Version ${release.version} · ${release.date}` : `Version ${release.version}`;
+      list.appendChild(heading);
+      
+      const notes = document.createElement('ul');
+      for (const note of release.notes) {
+        const item = document.createElement('li');
+        item.textContent = note;
+        notes.appendChild(item);
+      }
+      list.appendChild(notes);
+    }
+    
+    this.openModal(modal, () => this.closeModal('releaseNotesModal'));
+  }
+
+  /**
+   * Add the current attempt to the play log. Untouched levels aren't attempts.
+   */
+  finishAttempt(result, stars = 0) {
+    const attempt = this.currentAttempt;
+    const gameState = this.currentGameState;
+    if (!attempt || !gameState) return;
+    
+    this.currentAttempt = null;
+    if (gameState.moves === 0 && result !== PlayLog.RESULTS.SOLVED) return;
+    
+    this.playLog.addAttempt({
+      ...attempt,
+      startTime: gameState.startTime,
+      endTime: Date.now(),
+      duration: this.timer.getElapsed(),
+      moves: gameState.moves,
+      undos: gameState.undos,
+      hints: gameState.hints,
+      result,
+      stars
+    });
+  }
+
   /**
    * Update level display information
    */
@@ -132,11 +659,22 @@ class BallSortGame {
     if (!this.currentGameState) return;
     
     if (this.currentLevelDisplay) {
-      this.currentLevelDisplay.textContent = `Level ${this.currentLevel}`;
+      if (this.playMode === 'daily') {
+        this.currentLevelDisplay.textContent = `Daily ${this.dailyDate}`;
+      } else if (this.playMode === 'timeAttack' && this.timeAttackRun) {
+        this.currentLevelDisplay.textContent = `Time Attack #${this.timeAttackRun.levelsSolved + 1}`;
+      } else if (this.playMode === 'custom') {
+        this.currentLevelDisplay.textContent = `✏️ ${this.currentLevelData.name}`;
+      } else {
+        this.currentLevelDisplay.textContent = `Level ${this.currentLevel}`;
+      }
     }
     
     if (this.moveCounter) {
-      this.moveCounter.textContent = `Moves: ${this.currentGameState.moves}`;
+      const undos = this.currentGameState.undos;
+      this.moveCounter.textContent = undos > 0
+        ? `Moves: ${this.currentGameState.moves} (${undos} undo${undos === 1 ? '' : 's'})`
+        : `Moves: ${this.currentGameState.moves}`;
     }
     
     if (this.targetMovesDisplay) {
@@ -145,6 +683,98 @@ class BallSortGame {
     
     // Update stars based on current moves
     this.updateStars();
+    this.updateHistoryControls();
+  }
+
+  /**
+   * Show the level time, or the time left in a time attack run
+   */
+  updateTimerDisplay() {
+    if (!this.timerDisplay) return;
+    
+    if (this.playMode === 'timeAttack' && this.timeAttackRun) {
+      const remaining = this.timeAttackRun.timeLimit - this.runTimer.getElapsed();
+      this.timerDisplay.hidden = false;
+      this.timerDisplay.textContent = `⏱️ ${GameTimer.format(remaining)}`;
+      this.timerDisplay.classList.toggle('urgent', remaining < 10 * 1000);
+      return;
+    }
+    
+    this.timerDisplay.hidden = !this.settings.get('showTimer');
+    this.timerDisplay.textContent = `⏱️ ${GameTimer.format(this.timer.getElapsed())}`;
+    this.timerDisplay.classList.remove('urgent');
+  }
+
+  /**
+   * Pause the level timer and the time attack countdown for a reason
+   */
+  pauseTimers(reason) {
+    this.timer.pause(reason);
+    this.runTimer.pause(reason);
+  }
+
+  /**
+   * Clear a pause reason from both timers
+   */
+  resumeTimers(reason) {
+    this.timer.resume(reason);
+    this.runTimer.resume(reason);
+  }
+
+  /**
+   * Sync undo/redo buttons and the move timeline with the history
+   */
+  updateHistoryControls() {
+    const locked = this.gameComplete;
+    
+    if (this.undoButton) {
+      this.undoButton.disabled = locked || !this.history.canUndo();
+    }
+    
+    if (this.redoButton) {
+      this.redoButton.disabled = locked || !this.history.canRedo();
+    }
+    
+    if (this.historyTimeline) {
+      this.historyTimeline.max = this.history.length;
+      this.historyTimeline.value = this.history.position;
+      this.historyTimeline.disabled = locked || this.history.length === 0;
+    }
+    
+    if (this.historyPositionDisplay) {
+      this.historyPositionDisplay.textContent = `${this.history.position} / ${this.history.length}`;
+    }
+  }
+
+  /**
+   * Scoring for the player's profile and factor settings
+   */
+  createScoring() {
+    const factors = {
+      hints: this.settings.get('scoreHints'),
+      undos: this.settings.get('scoreUndos'),
+      time: this.settings.get('scoreTime')
+    };
+    
+    try {
+      return new Scoring(this.settings.get('scoringProfile'), factors);
+    } catch (error) {
+      console.warn('Falling back to the default scoring profile:', error.message);
+      return new Scoring(Scoring.DEFAULT_PROFILE, factors);
+    }
+  }
+
+  /**
+   * Score the current game - { stars, effectiveMoves, thresholds, penalties }
+   */
+  scoreGame() {
+    const gameState = this.currentGameState;
+    return this.scoring.score(gameState, {
+      moves: gameState.moves,
+      hints: gameState.hints,
+      undos: gameState.undos,
+      time: this.timer.getElapsed()
+    });
   }
 
   /**
@@ -153,13 +783,12 @@ class BallSortGame {
   updateStars() {
     if (!this.currentGameState) return;
     
-    const moves = this.currentGameState.moves;
-    const stars = this.currentGameState.stars;
+    const { stars } = this.scoreGame();
     
     for (let i = 1; i <= 3; i++) {
       const star = document.getElementById(`star${i}`);
       if (star) {
-        if (moves <= stars[i.toString()]) {
+        if (i <= stars) {
           star.classList.add('earned');
         } else {
           star.classList.remove('earned');
@@ -169,54 +798,104 @@ class BallSortGame {
   }
 
   /**
-   * Render the game board
+   * Render the game board - only tubes whose contents changed are touched
    */
   renderGame() {
-    if (!this.currentGameState || !this.tubesContainer) return;
-    
-    // Clear existing tubes
-    this.tubesContainer.innerHTML = '';
+    if (!this.currentGameState || !this.boardRenderer) return;
     
-    // Render each tube
-    this.currentGameState.tubes.forEach((tube, index) => {
-      const tubeElement = this.createTubeElement(tube, index);
-      this.tubesContainer.appendChild(tubeElement);
-    });
+    // Clear any hint pointing at the old position
+    this.clearHint();
+    this.boardRenderer.render(this.currentGameState.puzzle);
   }
 
   /**
-   * Create a tube element
+   * Animate a transfer that has already been applied to the puzzle state
    */
-  createTubeElement(tube, index) {
-    const tubeDiv = document.createElement('div');
-    tubeDiv.className = 'tube';
-    tubeDiv.dataset.tubeId = tube.id;
+  async animateTransfer(fromTubeId, toTubeId, amount) {
+    this.clearHint();
+    this.isAnimating = true;
     
-    // Calculate tube height based on capacity - perfect fit when filled
-    const ballHeight = 49; // 45px ball + 4px total margin (2px top + 2px bottom)
-    const tubeWallThickness = 6; // 3px border top + 3px border bottom  
-    const tubePadding = 10; // 5px padding top + 5px padding bottom
-    const tubeHeight = (tube.capacity * ballHeight) + tubeWallThickness + tubePadding;
-    tubeDiv.style.height = `${tubeHeight}px`;
+    try {
+      await this.boardRenderer.animateMove(this.currentGameState.puzzle, fromTubeId, toTubeId, amount, {
+        duration: this.animationDuration,
+        reducedMotion: this.settings.isReducedMotion()
+      });
+    } catch (error) {
+      console.error('Move animation failed:', error);
+      this.renderGame();
+    }
     
-    // Add balls
-    tube.balls.forEach((ballColor, ballIndex) => {
-      const ballDiv = document.createElement('div');
-      ballDiv.className = `ball ${ballColor}`;
-      // No text content for clean appearance
-      tubeDiv.appendChild(ballDiv);
-    });
+    this.isAnimating = false;
+  }
+
+  /**
+   * Hold an action until the running animation ends. Returns true if it was queued.
+   */
+  queueIfAnimating(action) {
+    if (!this.isAnimating) return false;
     
-    // Add click/touch event listener
-    tubeDiv.addEventListener('click', (e) => this.handleTubeClick(tube.id, e));
-    if (this.touchEnabled) {
-      tubeDiv.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        this.handleTubeClick(tube.id, e);
-      });
+    this.inputQueue.push(action);
+    return true;
+  }
+
+  /**
+   * Run queued input in order, stopping again if one of them starts an animation
+   */
+  flushInputQueue() {
+    while (!this.isAnimating && this.inputQueue.length > 0) {
+      this.inputQueue.shift()();
+    }
+  }
+
+  /**
+   * Keyboard play. Number keys (1-9, 0 for tube 10) jump to a tube and pick up or pour,
+   * arrows move between tubes, Enter/Space act on the focused tube, Escape cancels.
+   */
+  handleBoardKeys(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (!this.currentGameState || this.modalTraps.size > 0) return;
+    if (event.target.closest?.('input, select, textarea')) return;
+    
+    const tubeCount = this.currentGameState.puzzle.tubes.length;
+    
+    if (/^[0-9]$/.test(event.key)) {
+      const index = event.key === '0' ? 9 : Number(event.key) - 1;
+      if (index < tubeCount) {
+        event.preventDefault();
+        this.boardRenderer.focusTube(index);
+        this.handleTubeClick(index, event);
+      }
+      return;
+    }
+    
+    if (event.key === 'Escape') {
+      if (this.selectedTube !== null) {
+        event.preventDefault();
+        this.deselectTube();
+      }
+      return;
     }
     
-    return tubeDiv;
+    // The rest only applies while a tube has focus
+    const focused = this.boardRenderer.getFocusedIndex();
+    if (focused === -1) return;
+    
+    const targets = {
+      ArrowRight: (focused + 1) % tubeCount,
+      ArrowDown: (focused + 1) % tubeCount,
+      ArrowLeft: (focused - 1 + tubeCount) % tubeCount,
+      ArrowUp: (focused - 1 + tubeCount) % tubeCount,
+      Home: 0,
+      End: tubeCount - 1
+    };
+    
+    if (event.key in targets) {
+      event.preventDefault();
+      this.boardRenderer.focusTube(targets[event.key]);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      this.handleTubeClick(focused, event);
+    }
   }
 
   /**
@@ -224,13 +903,15 @@ class BallSortGame {
    */
   handleTubeClick(tubeId, event) {
     console.log(`🖱️ Tube ${tubeId} clicked`);
+    if (this.queueIfAnimating(() => this.handleTubeClick(tubeId, event))) return;
+    this.clearHint();
     
     if (this.gameComplete) {
       console.log('❌ Game already complete, ignoring click');
       return;
     }
     
-    const tube = this.currentGameState.tubes.find(t => t.id === tubeId);
+    const tube = this.currentGameState.puzzle.tubes[tubeId];
     if (!tube) {
       console.error(`❌ Tube ${tubeId} not found`);
       return;
@@ -265,32 +946,50 @@ class BallSortGame {
     this.attemptMove(this.selectedTube, tubeId);
   }
 
+  /**
+   * Whether a drag can pick up a tube - not mid-animation, after a win or from an empty tube
+   */
+  canDragTube(tubeId) {
+    if (this.isAnimating || this.gameComplete || !this.currentGameState) return false;
+    
+    const tube = this.currentGameState.puzzle.tubes[tubeId];
+    return Boolean(tube && tube.balls.length > 0);
+  }
+
+  /**
+   * Handle a tube dragged onto another - the same move as tapping one then the other
+   */
+  handleTubeDrop(fromTubeId, toTubeId) {
+    if (this.queueIfAnimating(() => this.handleTubeDrop(fromTubeId, toTubeId))) return;
+    this.clearHint();
+    if (this.gameComplete) return;
+    
+    // A drop that can't pour has snapped back, so the tube isn't left picked up
+    if (!PuzzleEngine.checkMove(this.currentGameState.puzzle, fromTubeId, toTubeId).valid) {
+      this.boardRenderer.setSelected(null);
+      this.selectedTube = null;
+    }
+    this.attemptMove(fromTubeId, toTubeId);
+  }
+
   /**
    * Select a tube
    */
   selectTube(tubeId) {
     this.selectedTube = tubeId;
     
-    // Visual feedback
-    const tubeElement = document.querySelector(`[data-tube-id="${tubeId}"]`);
-    if (tubeElement) {
-      tubeElement.classList.add('selected');
-    }
+    // Visual, screen reader and sound feedback
+    this.boardRenderer.setSelected(tubeId);
+    this.sound.play('select');
     
-    this.updateStatus('Tube selected! Tap another tube to move the ball 🎯');
+    this.updateStatus(`Tube ${tubeId + 1} selected! Tap another tube to move the ball 🎯`);
   }
 
   /**
    * Deselect tube
    */
   deselectTube() {
-    if (this.selectedTube !== null) {
-      const tubeElement = document.querySelector(`[data-tube-id="${this.selectedTube}"]`);
-      if (tubeElement) {
-        tubeElement.classList.remove('selected');
-      }
-    }
-    
+    this.boardRenderer.setSelected(null);
     this.selectedTube = null;
     this.updateStatus('Selection cleared. Tap a tube with balls to start 🎯');
   }
@@ -298,21 +997,11 @@ class BallSortGame {
   /**
    * Attempt to move a ball
    */
-  attemptMove(fromTubeId, toTubeId) {
+  async attemptMove(fromTubeId, toTubeId) {
     console.log(`🔄 attemptMove called: from tube ${fromTubeId} to tube ${toTubeId}`);
     
-    const fromTube = this.currentGameState.tubes.find(t => t.id === fromTubeId);
-    const toTube = this.currentGameState.tubes.find(t => t.id === toTubeId);
-    
-    if (!fromTube || !toTube) {
-      console.error('❌ Invalid tube IDs');
-      return;
-    }
-    
-    console.log(`📊 Before move - From tube: ${fromTube.balls.length} balls, To tube: ${toTube.balls.length} balls`);
-    
     // Check if move is valid
-    const moveResult = this.isValidMove(fromTube, toTube);
+    const moveResult = PuzzleEngine.checkMove(this.currentGameState.puzzle, fromTubeId, toTubeId);
     if (!moveResult.valid) {
       console.log(`❌ Invalid move: ${moveResult.reason}`);
       this.showInvalidMove(toTubeId, moveResult.reason);
@@ -321,72 +1010,124 @@ class BallSortGame {
     
     console.log('✅ Move is valid, performing move...');
     
-    // Perform the move
-    this.performMove(fromTube, toTube);
-    
-    console.log(`📊 After move - From tube: ${fromTube.balls.length} balls, To tube: ${toTube.balls.length} balls`);
+    // Perform the move and record it for undo/redo
+    const amount = this.performMove(fromTubeId, toTubeId);
+    this.history.record({ from: fromTubeId, to: toTubeId, amount });
+    this.sound.play('pour', { amount });
+    this.timer.start();
+    this.saveSession();
     
     // Deselect
     this.deselectTube();
+    this.updateStatus(`Moved ${amount} from tube ${fromTubeId + 1} to tube ${toTubeId + 1}`);
     
-    // Update display
+    // Update display and let the balls land before checking for a win
     this.updateLevelDisplay();
-    this.renderGame();
+    await this.animateTransfer(fromTubeId, toTubeId, amount);
     
     // Check win condition
     console.log('🏆 Calling checkWinCondition...');
     this.checkWinCondition();
+    this.flushInputQueue();
   }
 
   /**
-   * Check if a move is valid
+   * Perform a move - pour as much as fits from source to destination
    */
-  isValidMove(fromTube, toTube) {
-    // Can't move from empty tube
-    if (fromTube.balls.length === 0) {
-      return { valid: false, reason: 'No balls to move' };
-    }
+  performMove(fromTubeId, toTubeId) {
+    const { state, amount } = PuzzleEngine.applyMove(this.currentGameState.puzzle, fromTubeId, toTubeId);
+    this.currentGameState.puzzle = state;
     
-    // Can't move to same tube
-    if (fromTube.id === toTube.id) {
-      return { valid: false, reason: 'Cannot move to same tube' };
-    }
+    // Increment move counter
+    this.currentGameState.moves++;
+    
+    console.log(`Moved ${amount} balls from tube ${fromTubeId} to tube ${toTubeId}. Moves: ${this.currentGameState.moves}`);
+    return amount;
+  }
+
+  /**
+   * Step one move back in the history (counts as a move for scoring)
+   */
+  async undoMove() {
+    if (this.queueIfAnimating(() => this.undoMove())) return;
+    
+    const entry = this.stepHistory(-1);
+    if (!entry) return;
+    this.saveSession();
+    
+    this.deselectTube();
+    this.updateLevelDisplay();
+    this.updateStatus('Move undone ↩️');
+    await this.animateTransfer(entry.to, entry.from, entry.amount);
+    this.flushInputQueue();
+  }
+
+  /**
+   * Replay the next undone move
+   */
+  async redoMove() {
+    if (this.queueIfAnimating(() => this.redoMove())) return;
+    
+    const entry = this.stepHistory(1);
+    if (!entry) return;
+    this.saveSession();
+    
+    this.deselectTube();
+    this.updateLevelDisplay();
+    this.updateStatus('Move redone ↪️');
+    await this.animateTransfer(entry.from, entry.to, entry.amount);
+    this.checkWinCondition();
+    this.flushInputQueue();
+  }
+
+  /**
+   * Jump to any position on the move timeline
+   */
+  jumpToHistory(position) {
+    if (this.queueIfAnimating(() => this.jumpToHistory(position))) return;
+    if (Number.isNaN(position) || position === this.history.position) return;
     
-    // Check if destination has any space
-    if (toTube.balls.length >= toTube.capacity) {
-      return { valid: false, reason: 'Destination tube is full' };
+    const direction = position < this.history.position ? -1 : 1;
+    while (this.history.position !== position) {
+      if (!this.stepHistory(direction)) break;
     }
+    this.saveSession();
     
-    // All moves are valid in liquid pouring puzzle (same color balls)
-    // Even if not all balls can fit, we can move as many as possible
-    return { valid: true };
+    this.deselectTube();
+    this.updateLevelDisplay();
+    this.renderGame();
+    this.updateStatus(`Jumped to move ${this.history.position} of ${this.history.length} ⏱️`);
+    this.checkWinCondition();
   }
 
   /**
-   * Perform a move - move all balls from source to destination
+   * Apply a single undo (-1) or redo (+1) step to the puzzle and return the history entry.
+   * Both count toward the move total so stars stay fair; undos are also counted separately.
    */
-  performMove(fromTube, toTube) {
-    // Calculate how many balls we can move
-    const ballsToMove = fromTube.balls.length;
-    const availableSpace = toTube.capacity - toTube.balls.length;
-    const actualBallsToMove = Math.min(ballsToMove, availableSpace);
+  stepHistory(direction) {
+    if (!this.currentGameState || this.gameComplete) return null;
+    
+    const entry = direction < 0 ? this.history.undo() : this.history.redo();
+    if (!entry) return null;
     
-    // Move all possible balls
-    for (let i = 0; i < actualBallsToMove; i++) {
-      const ball = fromTube.balls.pop();
-      toTube.balls.push(ball);
+    const puzzle = this.currentGameState.puzzle;
+    if (direction < 0) {
+      this.currentGameState.puzzle = PuzzleEngine.transfer(puzzle, entry.to, entry.from, entry.amount);
+      this.currentGameState.undos++;
+    } else {
+      this.currentGameState.puzzle = PuzzleEngine.transfer(puzzle, entry.from, entry.to, entry.amount);
     }
     
-    // Increment move counter
     this.currentGameState.moves++;
-    
-    console.log(`Moved ${actualBallsToMove} balls from tube ${fromTube.id} to tube ${toTube.id}. Moves: ${this.currentGameState.moves}`);
+    return entry;
   }
 
   /**
-   * Show invalid move animation
+   * Show invalid move animation and sound
    */
   showInvalidMove(tubeId, reason) {
+    this.sound.play('invalid');
+    
     const tubeElement = document.querySelector(`[data-tube-id="${tubeId}"]`);
     if (tubeElement) {
       tubeElement.classList.add('invalid-move');
@@ -408,29 +1149,19 @@ class BallSortGame {
   }
 
   /**
-   * Check win condition - each tube should have the desiredLevel number of balls
+   * Check win condition using the rules engine
    */
   checkWinCondition() {
     console.log('🔍 Checking win condition...');
     
-    // Get the desired number of balls per tube from level data
-    const desiredLevel = this.currentGameState.desiredLevel || 2;
-    console.log(`Target desiredLevel: ${desiredLevel}`);
-    
     // Get current ball counts
-    const ballCounts = this.currentGameState.tubes.map(tube => tube.balls.length);
+    const ballCounts = this.currentGameState.puzzle.tubes.map(tube => tube.balls.length);
     console.log(`Current ball counts: [${ballCounts.join(', ')}]`);
     
-    // Check if all tubes have exactly the desired number of balls
-    const allTubesAtDesiredLevel = this.currentGameState.tubes.every((tube, index) => {
-      const hasCorrectCount = tube.balls.length === desiredLevel;
-      console.log(`Tube ${index}: ${tube.balls.length} balls (need ${desiredLevel}) - ${hasCorrectCount ? '✅' : '❌'}`);
-      return hasCorrectCount;
-    });
-    
-    console.log(`All tubes at desired level: ${allTubesAtDesiredLevel}`);
+    const solved = PuzzleEngine.isSolved(this.currentGameState.puzzle);
+    console.log(`Puzzle solved: ${solved}`);
     
-    if (allTubesAtDesiredLevel) {
+    if (solved) {
       console.log(`🎉 WIN CONDITION MET! Calling handleLevelComplete()...`);
       this.handleLevelComplete();
     } else {
@@ -444,33 +1175,58 @@ class BallSortGame {
   handleLevelComplete() {
     console.log('🎉 handleLevelComplete() called!');
     this.gameComplete = true;
+    this.timer.stop();
+    this.sound.play('complete');
+    // Only levels and daily challenges are saved - a finished custom level or
+    // time attack run must not throw away the regular game waiting to be resumed
+    if (this.canKeepProgress()) {
+      this.session.clear();
+    }
     
-    // Calculate stars earned
+    // Calculate stars earned with the player's scoring profile
     const moves = this.currentGameState.moves;
-    const stars = this.currentGameState.stars;
-    let starsEarned = 0;
+    const score = this.scoreGame();
+    const starsEarned = score.stars;
     
-    if (moves <= stars["3"]) starsEarned = 3;
-    else if (moves <= stars["2"]) starsEarned = 2;
-    else if (moves <= stars["1"]) starsEarned = 1;
+    const time = this.timer.getElapsed();
+    console.log(`Moves: ${moves}, Stars earned: ${starsEarned}, Time: ${GameTimer.format(time)}`);
     
-    console.log(`Moves: ${moves}, Stars earned: ${starsEarned}`);
+    // Time attack goes straight on to the next level
+    if (this.playMode === 'timeAttack') {
+      this.finishAttempt(PlayLog.RESULTS.SOLVED, starsEarned);
+      this.handleTimeAttackSolve(moves, starsEarned);
+      return;
+    }
     
-    // Update level manager
-    this.levelManager.completeLevel(this.currentLevel, moves, starsEarned);
+    // Record the result - daily challenges keep their own progress, custom levels have none
+    let saved = true;
+    if (this.playMode === 'daily') {
+      this.dailyChallenge.recordCompletion(this.dailyDate, moves, starsEarned);
+    } else if (this.playMode === 'levels') {
+      saved = this.levelManager.completeLevel(this.currentLevel, moves, starsEarned, time);
+    }
+    this.finishAttempt(PlayLog.RESULTS.SOLVED, starsEarned);
     
     // Show completion modal
     console.log('📱 Calling showLevelCompleteModal...');
-    this.showLevelCompleteModal(starsEarned);
+    this.showLevelCompleteModal(starsEarned, score);
     
     console.log(`🎉 Level ${this.currentLevel} completed in ${moves} moves with ${starsEarned} stars!`);
-    this.updateStatus(`Level complete! 🎉 ${starsEarned} stars earned!`);
+    if (this.playMode === 'daily') {
+      this.updateStatus(`Daily challenge complete! 🎉 ${starsEarned} stars - 🔥 ${this.dailyChallenge.getStreak()}-day streak`);
+    } else if (this.playMode === 'custom') {
+      this.updateStatus(`Custom level solved! 🎉 ${starsEarned} stars - ✏️ Editor to keep tweaking it`);
+    } else if (!saved) {
+      this.updateStatus(`Level complete! 🎉 ${starsEarned} stars earned - but progress couldn't be saved (storage full?) ⚠️`);
+    } else {
+      this.updateStatus(`Level complete! 🎉 ${starsEarned} stars earned!`);
+    }
   }
 
   /**
    * Show level complete modal
    */
-  showLevelCompleteModal(stars) {
+  showLevelCompleteModal(stars, score = null) {
     console.log(`📱 showLevelCompleteModal called with ${stars} stars`);
     
     const modal = document.getElementById('levelCompleteModal');
@@ -504,9 +1260,28 @@ class BallSortGame {
       console.error('❌ finalMoves element not found');
     }
     
+    // Update time display, with the level's best for comparison
+    const finalTime = document.getElementById('finalTime');
+    if (finalTime) {
+      const time = this.timer.getElapsed();
+      const bestTime = this.playMode === 'levels' ? this.levelManager.getLevelInfo(this.currentLevel)?.bestTime : null;
+      finalTime.textContent = bestTime && bestTime < time
+        ? `${GameTimer.format(time)} (best ${GameTimer.format(bestTime)})`
+        : GameTimer.format(time);
+    }
+    
+    // Which scoring profile gave these stars, and what cost any of them
+    const scoringSummary = document.getElementById('scoringSummary');
+    if (scoringSummary) {
+      const profile = `${this.scoring.profile.label} scoring`;
+      scoringSummary.textContent = score && score.penalties.length > 0
+        ? `${profile} · ${score.penalties.join(' · ')}`
+        : profile;
+    }
+    
     // Show/hide next level button
     const nextBtn = document.getElementById('nextLevelBtn');
-    const nextLevel = this.levelManager.getNextLevel(this.currentLevel);
+    const nextLevel = this.playMode === 'levels' ? this.levelManager.getNextLevel(this.currentLevel) : null;
     if (nextBtn) {
       if (nextLevel) {
         nextBtn.style.display = 'inline-block';
@@ -521,7 +1296,7 @@ class BallSortGame {
     
     // Show the modal
     console.log('🎭 Removing "hidden" class from modal...');
-    modal.classList.remove('hidden');
+    this.openModal(modal, () => this.closeModal('levelCompleteModal'));
     
     // Verify modal is visible
     const isHidden = modal.classList.contains('hidden');
@@ -533,9 +1308,21 @@ class BallSortGame {
    * Reset current level
    */
   async resetLevel() {
-    if (!this.currentLevel) return;
-    
-    await this.loadLevel(this.currentLevel);
+    this.closeModal('levelCompleteModal');
+    this.finishAttempt(PlayLog.RESULTS.RESTARTED);
+    
+    if (this.playMode === 'daily') {
+      await this.loadDailyChallenge(this.dailyDate);
+    } else if (this.playMode === 'timeAttack') {
+      // The countdown keeps running - restarting only costs time
+      if (!this.timeAttackRun) return;
+      await this.loadTimeAttackLevel();
+    } else if (this.playMode === 'custom') {
+      this.startLevel(this.currentLevelData);
+    } else {
+      if (!this.currentLevel) return;
+      await this.loadLevel(this.currentLevel);
+    }
     this.updateStatus('Level reset! 🔄');
   }
 
@@ -545,32 +1332,109 @@ class BallSortGame {
   async nextLevel() {
     const nextLevel = this.levelManager.getNextLevel(this.currentLevel);
     if (nextLevel) {
-      document.getElementById('levelCompleteModal')?.classList.add('hidden');
+      this.closeModal('levelCompleteModal');
       await this.loadLevel(nextLevel.id);
     }
   }
 
   /**
-   * Show hint
+   * Show hint - solves from the current position so it stays correct after any detour
    */
-  showHint() {
-    if (!this.currentGameState || !this.currentGameState.solutionSteps) {
+  async showHint() {
+    if (!this.currentGameState || this.gameComplete) {
+      this.updateStatus('No hint available right now 🤔');
+      return;
+    }
+    
+    const gameState = this.currentGameState;
+    const movesAtRequest = gameState.moves;
+    this.updateStatus('💡 Thinking...');
+    
+    let result;
+    try {
+      result = await this.solverClient.solve(gameState.puzzle);
+    } catch (error) {
+      console.error('Failed to compute hint:', error);
       this.updateStatus('No hint available for this level 🤔');
       return;
     }
     
-    const currentMoveIndex = this.currentGameState.moves;
-    const solution = this.currentGameState.solutionSteps;
+    // Ignore answers for a position the player has already left
+    if (this.currentGameState !== gameState || gameState.moves !== movesAtRequest) return;
     
-    if (currentMoveIndex < solution.length) {
-      const nextMove = solution[currentMoveIndex];
-      const fromTube = nextMove[0];
-      const toTube = nextMove[1];
-      
-      this.updateStatus(`💡 Hint: Move from tube ${fromTube} to tube ${toTube}`);
-    } else {
-      this.updateStatus('No more hints available! 🎯');
+    if (!result.solvable) {
+      this.updateStatus(result.truncated
+        ? 'This position is too complex for a hint 🤔'
+        : 'No solution from here - try resetting the level 🔄');
+      return;
     }
+    
+    if (result.steps.length === 0) {
+      this.updateStatus('Already solved! 🎯');
+      return;
+    }
+    
+    const [fromIndex, toIndex] = result.steps[0];
+    gameState.hints++;
+    this.saveSession();
+    this.showHintArrow(fromIndex, toIndex);
+    this.updateStatus(`💡 Hint: move from tube ${fromIndex + 1} to tube ${toIndex + 1}`);
+  }
+
+  /**
+   * Highlight the hinted source and target tubes and draw an arrow between them
+   */
+  showHintArrow(fromIndex, toIndex) {
+    this.clearHint();
+    
+    const fromTube = this.currentGameState.puzzle.tubes[fromIndex];
+    const toTube = this.currentGameState.puzzle.tubes[toIndex];
+    const fromElement = this.tubesContainer.querySelector(`[data-tube-id="${fromTube.id}"]`);
+    const toElement = this.tubesContainer.querySelector(`[data-tube-id="${toTube.id}"]`);
+    if (!fromElement || !toElement || !this.gameBoard) return;
+    
+    fromElement.classList.add('hint-source');
+    toElement.classList.add('hint-target');
+    
+    // Arc from just above the source tube to just above the target tube
+    const boardRect = this.gameBoard.getBoundingClientRect();
+    const fromRect = fromElement.getBoundingClientRect();
+    const toRect = toElement.getBoundingClientRect();
+    const startX = fromRect.left + fromRect.width / 2 - boardRect.left;
+    const startY = fromRect.top - boardRect.top - 10;
+    const endX = toRect.left + toRect.width / 2 - boardRect.left;
+    const endY = toRect.top - boardRect.top - 10;
+    const peakY = Math.max(Math.min(startY, endY) - 60, 0);
+    
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('class', 'hint-arrow');
+    svg.setAttribute('width', boardRect.width);
+    svg.setAttribute('height', boardRect.height);
+    svg.setAttribute('aria-hidden', 'true');
+    svg.innerHTML = `
+      <defs>
+        <marker id="hintArrowHead" markerWidth="10" markerHeight="10" refX="5" refY="5" orient="auto">
+          <path d="M0,0 L10,5 L0,10 z"></path>
+        </marker>
+      </defs>
+      <path class="hint-arrow-path" d="M${startX},${startY} Q${(startX + endX) / 2},${peakY} ${endX},${endY}" marker-end="url(#hintArrowHead)"></path>
+    `;
+    
+    this.gameBoard.appendChild(svg);
+    this.hintOverlay = svg;
+  }
+
+  /**
+   * Remove the hint arrow and tube highlights
+   */
+  clearHint() {
+    this.hintOverlay?.remove();
+    this.hintOverlay = null;
+    
+    this.tubesContainer?.querySelectorAll('.hint-source, .hint-target').forEach(element => {
+      element.classList.remove('hint-source', 'hint-target');
+    });
   }
 
   /**
@@ -581,6 +1445,11 @@ class BallSortGame {
     const grid = document.getElementById('levelGrid');
     if (!modal || !grid) return;
     
+    const packName = document.getElementById('levelPackName');
+    if (packName) {
+      packName.textContent = `📦 ${this.levelManager.pack ? this.levelManager.pack.name : LevelPacks.BUILT_IN_NAME}`;
+    }
+    
     // Clear existing buttons
     grid.innerHTML = '';
     
@@ -601,9 +1470,19 @@ class BallSortGame {
         button.classList.add('unlocked');
       }
       
+      let status = level.completed
+        ? `completed, ${level.stars} star${level.stars === 1 ? '' : 's'}`
+        : (level.unlocked ? 'not completed' : 'locked');
+      if (level.bestTime) {
+        status += `, best time ${GameTimer.format(level.bestTime)}`;
+        button.title = `Best: ${level.bestMoves} moves in ${GameTimer.format(level.bestTime)}`;
+      }
+      button.setAttribute('aria-label', `Level ${level.id}, ${status}`);
+      button.setAttribute('aria-disabled', String(!level.unlocked));
+      
       if (level.unlocked) {
         button.addEventListener('click', () => {
-          modal.classList.add('hidden');
+          this.hideLevelSelect();
           this.loadLevel(level.id);
         });
       }
@@ -611,14 +1490,942 @@ class BallSortGame {
       grid.appendChild(button);
     });
     
-    modal.classList.remove('hidden');
+    this.openModal(modal, () => this.hideLevelSelect());
   }
 
   /**
    * Hide level selection
    */
   hideLevelSelect() {
-    document.getElementById('levelSelectModal')?.classList.add('hidden');
+    this.closeModal('levelSelectModal');
+  }
+
+  /**
+   * Show the level pack picker (in place of the level select)
+   */
+  showPacks() {
+    const modal = document.getElementById('packsModal');
+    if (!modal) return;
+    
+    this.hideLevelSelect();
+    
+    const status = document.getElementById('packStatus');
+    if (status) {
+      status.textContent = '';
+    }
+    this.renderPackList();
+    
+    this.openModal(modal, () => this.hidePacks());
+  }
+
+  /**
+   * Hide the pack picker and go back to the level select
+   */
+  hidePacks() {
+    this.closeModal('packsModal');
+    this.showLevelSelect();
+  }
+
+  /**
+   * List the shipped levels and every imported pack with play and delete buttons
+   */
+  async renderPackList() {
+    const list = document.getElementById('packList');
+    if (!list) return;
+    
+    const activeId = this.levelPacks.getActiveId();
+    const packs = [
+      { id: LevelPacks.BUILT_IN_ID, name: LevelPacks.BUILT_IN_NAME, description: 'The levels that come with the game' }
+    ];
+    try {
+      packs.push(...await this.levelPacks.list());
+    } catch (error) {
+      // The shipped levels are still listed, so they can be switched back to
+      this.showPackError('Failed to list level packs:', error);
+    }
+    
+    list.innerHTML = '';
+    for (const pack of packs) {
+      const item = document.createElement('li');
+      const info = document.createElement('span');
+      info.textContent = pack.name;
+      
+      const details = [
+        pack.author && `by ${pack.author}`,
+        pack.levelCount && `${pack.levelCount} level${pack.levelCount === 1 ? '' : 's'}`,
+        pack.description
+      ].filter(Boolean);
+      if (details.length > 0) {
+        const small = document.createElement('small');
+        small.textContent = details.join(' · ');
+        info.appendChild(small);
+      }
+      item.appendChild(info);
+      
+      const active = pack.id === activeId;
+      const play = document.createElement('button');
+      play.textContent = active ? '✅' : '▶️';
+      play.disabled = active;
+      play.setAttribute('aria-label', active ? `Playing ${pack.name}` : `Play ${pack.name}`);
+      play.addEventListener('click', () => this.switchPack(pack.id));
+      item.appendChild(play);
+      
+      if (pack.id !== LevelPacks.BUILT_IN_ID) {
+        const remove = document.createElement('button');
+        remove.textContent = '🗑️';
+        remove.disabled = active;
+        remove.setAttribute('aria-label', active ? `${pack.name} can't be deleted while it is being played` : `Delete ${pack.name}`);
+        remove.addEventListener('click', async () => {
+          try {
+            await this.levelPacks.remove(pack.id);
+          } catch (error) {
+            this.showPackError(`Failed to delete level pack ${pack.id}:`, error);
+          }
+          await this.renderPackList();
+        });
+        item.appendChild(remove);
+      }
+      
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Log a level pack storage error and show it in the pack picker
+   */
+  showPackError(message, error) {
+    console.error(message, error);
+    const status = document.getElementById('packStatus');
+    if (status) {
+      status.textContent = `❌ ${error.message}`;
+    }
+  }
+
+  /**
+   * Run a pack import (from a file or URL) and report how it went
+   */
+  async importPack(runImport) {
+    const status = document.getElementById('packStatus');
+    if (status) {
+      status.textContent = '📦 Importing...';
+    }
+    
+    try {
+      const pack = await runImport();
+      if (status) {
+        status.textContent = `✅ Imported "${pack.name}" - ${pack.levelCount} level${pack.levelCount === 1 ? '' : 's'}`;
+      }
+      this.renderPackList();
+    } catch (error) {
+      console.error('Failed to import level pack:', error);
+      if (status) {
+        status.textContent = `❌ ${error.message}`;
+      }
+    }
+  }
+
+  /**
+   * Play another level pack (or the shipped levels), picking up at its furthest unlocked level
+   */
+  async switchPack(packId) {
+    const status = document.getElementById('packStatus');
+    try {
+      const pack = packId === LevelPacks.BUILT_IN_ID ? null : await this.levelPacks.get(packId);
+      if (packId !== LevelPacks.BUILT_IN_ID && !pack) {
+        throw new Error('That pack is no longer on this device');
+      }
+      if (!(await this.levelManager.initialize(pack))) {
+        throw new Error('The levels could not be loaded');
+      }
+    } catch (error) {
+      console.error(`Failed to switch to level pack ${packId}:`, error);
+      if (status) {
+        status.textContent = `❌ ${error.message}`;
+      }
+      return;
+    }
+    
+    this.levelPacks.setActiveId(packId);
+    this.levelManager.loadProgress();
+    this.closeModal('packsModal');
+    
+    const levels = this.levelManager.getAllLevels();
+    const level = levels.filter(levelInfo => levelInfo.unlocked).pop() || levels[0];
+    await this.loadLevel(level.id);
+    this.updateStatus(`📦 Playing ${this.levelManager.pack ? this.levelManager.pack.name : LevelPacks.BUILT_IN_NAME} - level ${level.id} 🎯`);
+  }
+
+  /**
+   * Show the progress export/import modal (in place of the level select)
+   */
+  showTransfer() {
+    const modal = document.getElementById('transferModal');
+    if (!modal) return;
+    
+    this.hideLevelSelect();
+    
+    const exportCode = document.getElementById('exportCode');
+    if (exportCode) {
+      exportCode.value = this.progressTransfer.toCode(this.levelManager.getProgressRecords());
+    }
+    
+    const importCode = document.getElementById('importCode');
+    if (importCode) {
+      importCode.value = '';
+    }
+    this.showImportPreview(null);
+    
+    this.openModal(modal, () => this.hideTransfer());
+  }
+
+  /**
+   * Hide the transfer modal and go back to the level select
+   */
+  hideTransfer() {
+    this.closeModal('transferModal');
+    this.pendingImport = null;
+    this.showLevelSelect();
+  }
+
+  /**
+   * Copy the export code to the clipboard
+   */
+  async copyProgressCode() {
+    const exportCode = document.getElementById('exportCode');
+    if (!exportCode) return;
+    
+    try {
+      await navigator.clipboard.writeText(exportCode.value);
+    } catch (error) {
+      // Clipboard API unavailable (or denied) - fall back to selecting the text
+      exportCode.select();
+      document.execCommand('copy');
+    }
+    this.updateStatus('Progress code copied 📋');
+  }
+
+  /**
+   * Parse an export file or code and show what importing it would change
+   */
+  previewImport(text) {
+    this.pendingImport = null;
+    
+    let imported;
+    try {
+      imported = this.progressTransfer.parse(text, this.levelManager.getAllLevels().map(level => level.key));
+    } catch (error) {
+      this.showImportPreview({ error: error.message });
+      return;
+    }
+    
+    const preview = this.progressTransfer.preview(
+      this.levelManager.getAllLevels(),
+      this.levelManager.getProgressRecords(),
+      imported
+    );
+    
+    if (preview.changes.length > 0) {
+      this.pendingImport = preview.merged;
+    }
+    this.showImportPreview(preview);
+  }
+
+  /**
+   * Render an import preview, an error ({ error }) or nothing (null)
+   */
+  showImportPreview(preview) {
+    const container = document.getElementById('importPreview');
+    const applyButton = document.getElementById('applyImportBtn');
+    if (applyButton) {
+      applyButton.hidden = !this.pendingImport;
+    }
+    if (!container) return;
+    
+    container.innerHTML = '';
+    if (!preview) return;
+    
+    const summary = document.createElement('p');
+    container.appendChild(summary);
+    
+    if (preview.error) {
+      summary.className = 'error';
+      summary.textContent = `❌ ${preview.error}`;
+      return;
+    }
+    
+    const stars = count => '★'.repeat(count) + '☆'.repeat(3 - count);
+    const moves = value => value === null ? '–' : value;
+    
+    summary.textContent = preview.changes.length > 0
+      ? `Importing will update ${preview.changes.length} level${preview.changes.length === 1 ? '' : 's'}:`
+      : 'Nothing new to import - your progress already includes all of it.';
+    
+    if (preview.changes.length > 0) {
+      const list = document.createElement('ul');
+      for (const { level, before, after } of preview.changes) {
+        const item = document.createElement('li');
+        item.textContent = `Level ${level.id}: ${stars(before.stars)} → ${stars(after.stars)}, best ${moves(before.bestMoves)} → ${moves(after.bestMoves)} moves`;
+        list.appendChild(item);
+      }
+      container.appendChild(list);
+    }
+    
+    if (preview.unknown > 0) {
+      const note = document.createElement('p');
+      note.textContent = `${preview.unknown} level${preview.unknown === 1 ? ' is' : 's are'} not in this version of the game and will be skipped.`;
+      container.appendChild(note);
+    }
+  }
+
+  /**
+   * Merge the previewed import into saved progress
+   */
+  applyImport() {
+    if (!this.pendingImport) return;
+    
+    const saved = this.levelManager.importProgress(this.pendingImport);
+    this.pendingImport = null;
+    this.showImportPreview(null);
+    
+    this.updateStatus(saved
+      ? 'Progress imported! 🎉'
+      : 'Progress imported for this session, but it could not be saved (storage full?) ⚠️');
+    this.hideTransfer();
+  }
+
+  /**
+   * Show the daily challenge calendar
+   */
+  showDailyChallenge() {
+    const modal = document.getElementById('dailyModal');
+    if (!modal) return;
+    
+    const today = new Date();
+    this.dailyCalendarMonth = new Date(today.getFullYear(), today.getMonth(), 1);
+    
+    const streak = this.dailyChallenge.getStreak(today);
+    const streakDisplay = document.getElementById('dailyStreak');
+    if (streakDisplay) {
+      streakDisplay.textContent = `🔥 Streak: ${streak} day${streak === 1 ? '' : 's'} · Best: ${this.dailyChallenge.getBestStreak()}`;
+    }
+    
+    const todayResult = this.dailyChallenge.getDay(this.dailyChallenge.getDateKey(today));
+    const playTodayBtn = document.getElementById('playTodayBtn');
+    if (playTodayBtn) {
+      playTodayBtn.textContent = todayResult ? `Replay Today (best ${todayResult.bestMoves})` : 'Play Today';
+    }
+    
+    this.renderDailyCalendar();
+    this.openModal(modal, () => this.hideDailyChallenge());
+  }
+
+  /**
+   * Hide the daily challenge calendar
+   */
+  hideDailyChallenge() {
+    this.closeModal('dailyModal');
+  }
+
+  /**
+   * Move the calendar one month back or forward (never past the current month)
+   */
+  changeDailyMonth(offset) {
+    const month = new Date(this.dailyCalendarMonth.getFullYear(), this.dailyCalendarMonth.getMonth() + offset, 1);
+    if (month > new Date()) return;
+    
+    this.dailyCalendarMonth = month;
+    this.renderDailyCalendar();
+  }
+
+  /**
+   * Render a month of days - past days and today can be played or replayed
+   */
+  renderDailyCalendar() {
+    const grid = document.getElementById('dailyCalendar');
+    const title = document.getElementById('dailyMonthTitle');
+    if (!grid) return;
+    
+    const month = this.dailyCalendarMonth;
+    const todayKey = this.dailyChallenge.getDateKey();
+    
+    if (title) {
+      title.textContent = month.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+    
+    const nextMonthBtn = document.getElementById('nextMonthBtn');
+    if (nextMonthBtn) {
+      const now = new Date();
+      nextMonthBtn.disabled = month.getFullYear() === now.getFullYear() && month.getMonth() === now.getMonth();
+    }
+    
+    grid.innerHTML = '';
+    
+    // Blank cells so the 1st lands on its weekday (weeks start on Monday)
+    const leadingBlanks = (month.getDay() + 6) % 7;
+    for (let i = 0; i < leadingBlanks; i++) {
+      grid.appendChild(document.createElement('span'));
+    }
+    
+    const daysInMonth = new Date(month.getFullYear(), month.getMonth() + 1, 0).getDate();
+    for (let day = 1; day <= daysInMonth; day++) {
+      const dateKey = this.dailyChallenge.getDateKey(new Date(month.getFullYear(), month.getMonth(), day));
+      const result = this.dailyChallenge.getDay(dateKey);
+      
+      const button = document.createElement('button');
+      button.className = 'daily-day';
+      button.textContent = day;
+      
+      if (dateKey === todayKey) button.classList.add('today');
+      if (result) {
+        button.classList.add('completed');
+        button.title = `${result.bestMoves} moves · ${'★'.repeat(result.stars)}`;
+      }
+      
+      if (dateKey > todayKey) {
+        button.disabled = true;
+      } else {
+        button.addEventListener('click', () => {
+          this.hideDailyChallenge();
+          this.loadDailyChallenge(dateKey);
+        });
+      }
+      
+      grid.appendChild(button);
+    }
+  }
+
+  /**
+   * Show the level editor
+   */
+  showEditor() {
+    const modal = document.getElementById('editorModal');
+    if (!modal) return;
+    
+    if (!this.levelEditor) {
+      this.levelEditor = new LevelEditor(document.getElementById('editorTubes'), document.getElementById('editorPalette'), {
+        solverClient: this.solverClient,
+        generator: this.dailyChallenge.generator,
+        scoring: new Scoring(Scoring.DEFAULT_PROFILE),
+        onChange: () => this.updateEditorFields()
+      });
+    }
+    
+    this.updateEditorFields();
+    this.renderCustomLevelList();
+    this.openModal(modal, () => this.hideEditor());
+  }
+
+  /**
+   * Hide the level editor
+   */
+  hideEditor() {
+    this.closeModal('editorModal');
+  }
+
+  /**
+   * Sync the editor's form fields and status line with the draft
+   */
+  updateEditorFields() {
+    const { draft, solution } = this.levelEditor;
+    
+    const name = document.getElementById('editorName');
+    if (name && name.value !== draft.name) {
+      name.value = draft.name;
+    }
+    
+    const puzzleType = document.getElementById('editorPuzzleType');
+    if (puzzleType) {
+      puzzleType.value = draft.puzzleType;
+    }
+    
+    const desiredLevel = document.getElementById('editorDesiredLevel');
+    if (desiredLevel) {
+      desiredLevel.value = draft.desiredLevel;
+    }
+    const desiredRow = document.getElementById('editorDesiredRow');
+    if (desiredRow) {
+      desiredRow.hidden = !this.levelEditor.isLiquid();
+    }
+    
+    const status = document.getElementById('editorStatus');
+    if (status) {
+      if (solution) {
+        const stars = this.levelEditor.scoring.getThresholds(solution.minMoves);
+        status.textContent = `✅ Solvable in ${solution.minMoves} moves · ⭐⭐⭐ ≤ ${stars["3"]}, ⭐⭐ ≤ ${stars["2"]}, ⭐ ≤ ${stars["1"]}`;
+      } else {
+        status.textContent = 'Not solved yet - Solve or Test Play to check it';
+      }
+    }
+  }
+
+  /**
+   * Solve the draft, showing the result or the reason it can't be used.
+   * Returns true if the draft is solvable.
+   */
+  async solveEditorLevel() {
+    const status = document.getElementById('editorStatus');
+    if (status) {
+      status.textContent = '🧠 Solving...';
+    }
+    
+    try {
+      await this.levelEditor.solve();
+      this.updateEditorFields();
+      return true;
+    } catch (error) {
+      console.error('Editor level could not be solved:', error);
+      if (status) {
+        status.textContent = `❌ ${error.message}`;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Solve the draft and play it on the game board
+   */
+  async testPlayEditorLevel() {
+    if (!(await this.solveEditorLevel())) return;
+    
+    this.hideEditor();
+    this.startCustomLevel(this.levelEditor.buildLevel(1));
+  }
+
+  /**
+   * Play a custom level
+   */
+  startCustomLevel(level) {
+    this.playMode = 'custom';
+    this.startLevel(this.levelManager.normalizeLevel(level));
+    this.updateStatus(`✏️ Playing "${level.name}" - solvable in ${level.minMoves} moves 🎯`);
+  }
+
+  /**
+   * Save the solved draft as a custom level
+   */
+  async saveEditorLevel() {
+    if (!(await this.solveEditorLevel())) return;
+    
+    const id = this.customLevels.save(this.levelEditor.buildLevel(1), this.editingCustomId);
+    const status = document.getElementById('editorStatus');
+    if (!id) {
+      if (status) status.textContent = "❌ Couldn't save - storage may be full";
+      return;
+    }
+    
+    this.editingCustomId = id;
+    if (status) status.textContent = '💾 Saved to My Levels';
+    this.renderCustomLevelList();
+  }
+
+  /**
+   * Download the solved draft as a level file, numbered to follow the shipped levels
+   */
+  async exportEditorLevel() {
+    if (!(await this.solveEditorLevel())) return;
+    
+    const levelId = this.levelManager.getAllLevels().length + 1;
+    const level = this.levelEditor.buildLevel(levelId);
+    const filename = `level-${levelId.toString().padStart(3, '0')}.json`;
+    
+    const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    
+    const status = document.getElementById('editorStatus');
+    if (status) {
+      status.textContent = `⬇️ Exported ${filename} - add it to levels-index.json with key "${this.levelManager.getLevelKey(level)}"`;
+    }
+  }
+
+  /**
+   * List saved custom levels with play, edit and delete buttons
+   */
+  renderCustomLevelList() {
+    const list = document.getElementById('customLevelList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    const entries = this.customLevels.list();
+    if (entries.length === 0) {
+      list.innerHTML = '<li>No saved levels yet</li>';
+      return;
+    }
+    
+    for (const entry of entries) {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = `${entry.level.name} · ${entry.level.minMoves} moves`;
+      item.appendChild(name);
+      
+      const actions = [
+        ['▶️', `Play ${entry.level.name}`, () => {
+          this.hideEditor();
+          this.startCustomLevel(entry.level);
+        }],
+        ['✏️', `Edit ${entry.level.name}`, () => {
+          this.editingCustomId = entry.id;
+          this.levelEditor.load(entry.level);
+        }],
+        ['🗑️', `Delete ${entry.level.name}`, () => {
+          this.customLevels.remove(entry.id);
+          if (this.editingCustomId === entry.id) this.editingCustomId = null;
+          this.renderCustomLevelList();
+        }]
+      ];
+      for (const [icon, label, action] of actions) {
+        const button = document.createElement('button');
+        button.textContent = icon;
+        button.setAttribute('aria-label', label);
+        button.addEventListener('click', action);
+        item.appendChild(button);
+      }
+      
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Show the time attack intro with the rules and personal records
+   */
+  showTimeAttack() {
+    const modal = document.getElementById('timeAttackModal');
+    if (!modal) return;
+    
+    const rules = document.getElementById('timeAttackRules');
+    if (rules) {
+      const { timeLimit, threeStarBonus } = TimeAttack.SETTINGS;
+      rules.textContent = `Solve as many levels as you can in ${GameTimer.format(timeLimit)}. ` +
+        `Every three-star solve adds ${threeStarBonus / 1000} seconds.`;
+    }
+    this.showTimeAttackRecords(document.getElementById('timeAttackBest'));
+    
+    this.openModal(modal, () => this.hideTimeAttack());
+  }
+
+  /**
+   * Hide the time attack intro
+   */
+  hideTimeAttack() {
+    this.closeModal('timeAttackModal');
+  }
+
+  /**
+   * Describe the personal records in an element
+   */
+  showTimeAttackRecords(element, broken = {}) {
+    if (!element) return;
+    
+    const records = this.timeAttack.records;
+    if (records.runs === 0) {
+      element.textContent = 'No runs yet - set your first record!';
+      return;
+    }
+    
+    const levels = `${records.bestLevelsSolved} level${records.bestLevelsSolved === 1 ? '' : 's'}${broken.levelsSolved ? ' 🆕' : ''}`;
+    const stars = `${records.bestStars} ⭐${broken.stars ? ' 🆕' : ''}`;
+    element.textContent = `🏆 Records: ${levels} · ${stars} · ${records.runs} run${records.runs === 1 ? '' : 's'} played`;
+  }
+
+  /**
+   * Start a time attack run through the levels in order
+   */
+  async startTimeAttack() {
+    this.closeModal('timeAttackModal');
+    this.closeModal('timeAttackResultsModal');
+    
+    const levelIds = this.levelManager.getAllLevels().map(level => level.id);
+    this.timeAttackRun = this.timeAttack.createRun(levelIds);
+    this.runTimer.reset();
+    
+    await this.loadTimeAttackLevel();
+    if (this.timeAttackRun) {
+      this.runTimer.start();
+      console.log(`⏱️ Time attack started over ${levelIds.length} levels`);
+    }
+  }
+
+  /**
+   * Load the run's current level, or end the run if every level has been played
+   */
+  async loadTimeAttackLevel() {
+    const run = this.timeAttackRun;
+    const levelId = this.timeAttack.getCurrentLevelId(run);
+    if (levelId === null) {
+      this.endTimeAttack();
+      return;
+    }
+    
+    try {
+      const levelData = await this.levelManager.loadLevel(levelId);
+      if (!levelData) {
+        throw new Error(`Failed to load level ${levelId}`);
+      }
+      
+      this.playMode = 'timeAttack';
+      this.currentLevel = levelId;
+      this.startLevel(levelData);
+      this.updateStatus(`⏱️ Time attack - level ${run.levelsSolved + 1}. Go! 🎯`);
+    } catch (error) {
+      console.error(`Failed to load time attack level ${levelId}:`, error);
+      this.updateStatus(`Failed to load level ${levelId} 😞`);
+      this.cancelTimeAttack();
+    }
+  }
+
+  /**
+   * Count a solved level, award any bonus time and move on
+   */
+  async handleTimeAttackSolve(moves, stars) {
+    const bonus = this.timeAttack.recordSolve(this.timeAttackRun, moves, stars);
+    
+    await this.loadTimeAttackLevel();
+    if (this.timeAttackRun) {
+      this.updateStatus(bonus > 0
+        ? `⭐⭐⭐ Three stars! +${bonus / 1000}s ⏱️`
+        : `Solved with ${stars} star${stars === 1 ? '' : 's'} - next level! ⏩`);
+    }
+  }
+
+  /**
+   * Called on every countdown tick - ends the run when time is up
+   */
+  checkTimeAttackClock() {
+    this.updateTimerDisplay();
+    
+    const run = this.timeAttackRun;
+    if (run && this.runTimer.getElapsed() >= run.timeLimit) {
+      this.endTimeAttack();
+    }
+  }
+
+  /**
+   * Finish the run, update the personal records and show the results
+   */
+  endTimeAttack() {
+    const run = this.timeAttackRun;
+    if (!run) return;
+    
+    // Cleared first - stopping the countdown ticks it one last time
+    this.timeAttackRun = null;
+    this.runTimer.stop();
+    this.timer.stop();
+    this.finishAttempt(PlayLog.RESULTS.ABANDONED);
+    this.gameComplete = true;
+    this.deselectTube();
+    this.updateHistoryControls();
+    this.updateTimerDisplay();
+    
+    const broken = this.timeAttack.finishRun(run);
+    const allCleared = this.timeAttack.getCurrentLevelId(run) === null;
+    console.log(`⏱️ Time attack over: ${run.levelsSolved} levels, ${run.stars} stars`);
+    this.updateStatus(allCleared
+      ? `🏁 Every level cleared! ${run.levelsSolved} levels, ${run.stars} stars`
+      : `⏱️ Time's up! ${run.levelsSolved} level${run.levelsSolved === 1 ? '' : 's'} solved`);
+    
+    const modal = document.getElementById('timeAttackResultsModal');
+    if (!modal) return;
+    
+    const title = document.getElementById('timeAttackResultsTitle');
+    if (title) {
+      title.textContent = allCleared ? '🏁 All Levels Cleared!' : "⏱️ Time's Up!";
+    }
+    document.getElementById('timeAttackSolved').textContent = run.levelsSolved;
+    document.getElementById('timeAttackStars').textContent = `${run.stars} ⭐`;
+    document.getElementById('timeAttackBonus').textContent = `+${GameTimer.format(run.bonusTime)}`;
+    this.showTimeAttackRecords(document.getElementById('timeAttackRecords'), broken);
+    
+    this.openModal(modal, () => this.leaveTimeAttack());
+  }
+
+  /**
+   * Drop the current run without recording it (another level or mode was picked)
+   */
+  cancelTimeAttack() {
+    this.timeAttackRun = null;
+    this.runTimer.stop();
+    this.updateTimerDisplay();
+    console.log('⏱️ Time attack cancelled');
+  }
+
+  /**
+   * Close the results and go back to the game that was being played before the run
+   */
+  async leaveTimeAttack() {
+    this.closeModal('timeAttackResultsModal');
+    await this.resumeSession();
+  }
+
+  /**
+   * Show the statistics modal, computed from the play log
+   */
+  async showStats() {
+    const modal = document.getElementById('statsModal');
+    if (!modal) return;
+    
+    const stats = this.playLog.summarize(await this.playLog.getAttempts());
+    this.renderStats(stats);
+    this.openModal(modal, () => this.hideStats());
+  }
+
+  /**
+   * Hide the statistics modal
+   */
+  hideStats() {
+    this.closeModal('statsModal');
+  }
+
+  /**
+   * Fill the statistics modal
+   */
+  renderStats(stats) {
+    const setText = (id, text) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = text;
+    };
+    
+    const minutes = Math.round(stats.totalPlayTime / 60000);
+    setText('statPlayTime', minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`);
+    setText('statSolved', stats.dailySolved > 0 ? `${stats.levelsSolved} + ${stats.dailySolved} daily` : stats.levelsSolved);
+    setText('statStars', `${stats.starTotal} ⭐`);
+    setText('statAttempts', stats.attempts);
+    
+    const difficultyBody = document.getElementById('statsDifficulty');
+    if (difficultyBody) {
+      difficultyBody.innerHTML = '';
+      const difficulties = Object.entries(stats.averageOverOptimal);
+      for (const [difficulty, { average, count }] of difficulties) {
+        const row = document.createElement('tr');
+        for (const text of [difficulty, `+${average.toFixed(1)}`, count]) {
+          const cell = document.createElement('td');
+          cell.textContent = text;
+          row.appendChild(cell);
+        }
+        difficultyBody.appendChild(row);
+      }
+      if (difficulties.length === 0) {
+        difficultyBody.innerHTML = '<tr><td colspan="3">No levels solved yet</td></tr>';
+      }
+    }
+    
+    const retried = document.getElementById('statsRetried');
+    if (retried) {
+      retried.innerHTML = '';
+      for (const { name, attempts, solved } of stats.mostRetried) {
+        const item = document.createElement('li');
+        item.textContent = `${name} - ${attempts} attempts${solved ? ' ✅' : ''}`;
+        retried.appendChild(item);
+      }
+      if (stats.mostRetried.length === 0) {
+        retried.innerHTML = '<li>Nothing retried yet</li>';
+      }
+    }
+    
+    const histogram = document.getElementById('statsHistogram');
+    if (histogram) {
+      histogram.innerHTML = '';
+      const largest = Math.max(1, ...stats.solveTimeHistogram.map(bucket => bucket.count));
+      for (const { label, count } of stats.solveTimeHistogram) {
+        const bar = document.createElement('div');
+        bar.className = 'histogram-bar';
+        bar.setAttribute('aria-label', `${label}: ${count} solve${count === 1 ? '' : 's'}`);
+        bar.innerHTML = `<span class="histogram-count">${count}</span><span class="histogram-fill"></span><span class="histogram-label">${label}</span>`;
+        bar.querySelector('.histogram-fill').style.height = `${(count / largest) * 100}%`;
+        histogram.appendChild(bar);
+      }
+    }
+  }
+
+  /**
+   * Show the settings modal
+   */
+  showSettings() {
+    const motionSetting = document.getElementById('motionSetting');
+    if (motionSetting) {
+      motionSetting.value = this.settings.get('motion');
+    }
+    
+    const showTimerSetting = document.getElementById('showTimerSetting');
+    if (showTimerSetting) {
+      showTimerSetting.checked = this.settings.get('showTimer');
+    }
+    
+    const scoringSetting = document.getElementById('scoringSetting');
+    if (scoringSetting) {
+      scoringSetting.value = this.settings.get('scoringProfile');
+    }
+    
+    const paletteSetting = document.getElementById('paletteSetting');
+    if (paletteSetting) {
+      paletteSetting.value = this.settings.get('palette');
+    }
+    
+    const volumeSetting = document.getElementById('volumeSetting');
+    if (volumeSetting) {
+      volumeSetting.value = this.settings.get('volume');
+    }
+    document.querySelectorAll('#settingsModal input[data-setting]').forEach(input => {
+      input.checked = this.settings.get(input.dataset.setting);
+    });
+    
+    const modal = document.getElementById('settingsModal');
+    if (modal) {
+      this.openModal(modal, () => this.hideSettings());
+    }
+  }
+
+  /**
+   * Hide the settings modal
+   */
+  hideSettings() {
+    this.closeModal('settingsModal');
+  }
+
+  /**
+   * Show a modal and keep keyboard focus inside it until it closes
+   */
+  openModal(modal, onEscape) {
+    this.modalTraps.get(modal.id)?.deactivate();
+    
+    modal.classList.remove('hidden');
+    this.pauseTimers(modal.id);
+    const trap = new FocusTrap(modal.querySelector('.modal-content') || modal, { onEscape });
+    this.modalTraps.set(modal.id, trap);
+    trap.activate();
+  }
+
+  /**
+   * Hide a modal and return focus to whatever had it before
+   */
+  closeModal(modalId) {
+    document.getElementById(modalId)?.classList.add('hidden');
+    this.resumeTimers(modalId);
+    
+    const trap = this.modalTraps.get(modalId);
+    if (trap) {
+      this.modalTraps.delete(modalId);
+      trap.deactivate();
+    }
+  }
+
+  /**
+   * Switch CSS transitions off when reduced motion is in effect
+   */
+  applyMotionSetting() {
+    document.body.classList.toggle('reduced-motion', this.settings.isReducedMotion());
+  }
+
+  /**
+   * Draw balls in the chosen palette, with symbols if they're switched on
+   */
+  applyPaletteSetting() {
+    Palettes.apply(this.settings.get('palette'), this.settings.get('ballSymbols'));
   }
 
   /**
@@ -632,6 +2439,9 @@ class BallSortGame {
   }
 }
 
+// sessionStorage flag set just before reloading for an update
+BallSortGame.UPDATE_RELOAD_KEY = 'ballSortUpdateReload';
+
 // Initialize game when DOM is loaded
 let game = null;
 
@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+/**
+ * Ball Sort Puzzle Level Generator
+ * Generates new liquid-pouring levels, verifies them with the solver and
+ * appends them to levels/levels-index.json, then rebuilds the level bundle.
+ *
+ * Usage:
+ *   node generate-levels.js --seed spring --count 10 --tubes 5 \
+ *     --capacity-min 2 --capacity-max 6 --desired-level 2 --min-moves 5 --max-moves 9
+ *
+ * The same seed and parameters always produce the same level pack.
+ * Pass --dry-run to print the levels without writing anything.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LevelGenerator } = require('./js/levelGenerator.js');
+const { LevelManager } = require('./js/levelManager.js');
+const { bundleLevels } = require('./convert-levels.js');
+
+const USAGE = `Usage: node generate-levels.js [--seed <seed>] [--count <n>] [--tubes <n>]
+  [--capacity-min <n>] [--capacity-max <n>] [--desired-level <n>]
+  [--min-moves <n>] [--max-moves <n>] [--max-attempts <n>] [--levels-dir <dir>] [--dry-run]`;
+
+/**
+ * Read a numeric option's value - a whole number no smaller than `min`
+ */
+function parseInteger(arg, value, min) {
+  if (!/^\d+$/.test(value || '') || Number(value) < min) {
+    throw new Error(`${arg} must be a whole number of at least ${min}, got "${value ?? ''}"`);
+  }
+  return Number(value);
+}
+
+/**
+ * Parse --key value pairs into generator settings
+ */
+function parseArgs(argv) {
+  const options = {
+    seed: 'default',
+    count: 1,
+    levelsDir: './levels',
+    dryRun: false,
+    generator: {}
+  };
+
+  const numeric = {
+    '--tubes': 'tubeCount',
+    '--capacity-min': 'capacityMin',
+    '--capacity-max': 'capacityMax',
+    '--desired-level': 'desiredLevel',
+    '--min-moves': 'minMoves',
+    '--max-moves': 'maxMoves',
+    '--max-attempts': 'maxAttempts'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--seed') {
+      options.seed = argv[++i];
+    } else if (arg === '--count') {
+      options.count = parseInteger(arg, argv[++i], 1);
+    } else if (arg === '--levels-dir') {
+      options.levelsDir = argv[++i];
+    } else if (numeric[arg]) {
+      options.generator[numeric[arg]] = parseInteger(arg, argv[++i], 1);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Generate a seeded pack of levels and append it to the index
+ */
+function generateLevels(options) {
+  const generator = new LevelGenerator();
+  const levelManager = new LevelManager();
+  const indexPath = path.join(options.levelsDir, 'levels-index.json');
+  const levelIndex = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+
+  let nextId = levelIndex.levels.reduce((max, level) => Math.max(max, level.id), 0) + 1;
+  const generated = [];
+
+  for (let i = 1; i <= options.count; i++) {
+    // Each level gets its own sub-seed so the pack is stable level by level
+    const seed = `${options.seed}/${i}`;
+    const levelId = nextId;
+    const level = generator.generate({
+      ...options.generator,
+      seed,
+      levelId,
+      name: `Level ${levelId} - Generated ${seed}`
+    });
+
+    if (!level) {
+      throw new Error(`No level matching the requested move range found for seed "${seed}" - widen the ranges or raise --max-attempts`);
+    }
+
+    const filename = `level-${levelId.toString().padStart(3, '0')}.json`;
+    console.log(`Generated ${filename}: ${level.tubes.length} tubes, ${level.minMoves} moves (${level.difficulty})`);
+
+    generated.push({ filename, level });
+    nextId++;
+  }
+
+  if (options.dryRun) {
+    console.log(JSON.stringify(generated.map(entry => entry.level), null, 2));
+    return generated;
+  }
+
+  // Refuse before writing anything, so the level files and the index stay in step
+  const existing = generated.filter(({ filename }) => fs.existsSync(path.join(options.levelsDir, filename)));
+  if (existing.length > 0) {
+    throw new Error(`Level files already exist: ${existing.map(entry => entry.filename).join(', ')}`);
+  }
+
+  for (const { filename, level } of generated) {
+    levelIndex.levels.push({
+      id: level.levelId,
+      file: filename,
+      key: levelManager.getLevelKey(level),
+      name: level.name,
+      difficulty: level.difficulty,
+      unlocked: false,
+      completed: false,
+      stars: 0,
+      bestMoves: null
+    });
+    levelIndex.difficulties[level.difficulty].levels.push(level.levelId);
+  }
+
+  levelIndex.totalLevels = levelIndex.levels.length;
+  for (const { filename, level } of generated) {
+    fs.writeFileSync(path.join(options.levelsDir, filename), JSON.stringify(level, null, 2));
+  }
+  fs.writeFileSync(indexPath, JSON.stringify(levelIndex, null, 2));
+  bundleLevels(options.levelsDir);
+
+  console.log(`\n✅ Added ${generated.length} levels to levels-index.json (${levelIndex.totalLevels} total)`);
+  return generated;
+}
+
+// Run generation if called directly
+if (require.main === module) {
+  let options = null;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+  }
+
+  if (options) {
+    try {
+      generateLevels(options);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+module.exports = { generateLevels, parseArgs };
@@ -0,0 +1,242 @@
+/**
+ * Ball Sort Puzzle - Board Renderer
+ * Keeps the tube DOM in sync with a puzzle state by diffing tube contents,
+ * and animates moves as balls lifting out, arcing across and dropping in
+ */
+
+class BoardRenderer {
+  /**
+   * Taps, clicks and drags on the tubes are handled by PointerInput on the same container
+   */
+  constructor(container) {
+    this.container = container;
+    this.tubeElements = [];
+    this.animations = [];
+
+    // Roving tabindex: only one tube is in the tab order at a time
+    this.focusIndex = 0;
+    this.selectedIndex = null;
+
+    this.container.setAttribute('role', 'group');
+    this.container.setAttribute('aria-label', 'Tubes');
+  }
+
+  /**
+   * Bring the board in line with the puzzle. Tubes are rebuilt only when the
+   * layout changes; otherwise just the balls that differ are touched.
+   */
+  render(puzzle, { rebuild = false } = {}) {
+    const sameLayout = !rebuild &&
+      this.tubeElements.length === puzzle.tubes.length &&
+      this.tubeElements.every(element => element.isConnected);
+
+    if (!sameLayout) {
+      this.build(puzzle);
+      return;
+    }
+
+    puzzle.tubes.forEach((tube, index) => this.syncTube(this.tubeElements[index], tube));
+  }
+
+  /**
+   * Recreate every tube from scratch
+   */
+  build(puzzle) {
+    this.cancel();
+    this.container.innerHTML = '';
+    this.focusIndex = 0;
+    this.selectedIndex = null;
+    this.tubeElements = puzzle.tubes.map((tube, index) => {
+      const slot = this.createTubeElement(tube, index);
+      this.container.appendChild(slot);
+      return slot.querySelector('.tube');
+    });
+  }
+
+  /**
+   * Create a tube element with its number label underneath
+   */
+  createTubeElement(tube, index) {
+    const slotDiv = document.createElement('div');
+    slotDiv.className = 'tube-slot';
+
+    const tubeDiv = document.createElement('div');
+    tubeDiv.className = 'tube';
+    tubeDiv.dataset.tubeId = tube.id;
+    tubeDiv.setAttribute('role', 'button');
+    tubeDiv.setAttribute('aria-pressed', 'false');
+    tubeDiv.tabIndex = index === this.focusIndex ? 0 : -1;
+    this.syncTube(tubeDiv, tube);
+
+    tubeDiv.addEventListener('focus', () => this.setFocusIndex(index));
+
+    // Tubes are numbered from 1 on screen; screen readers get it from the aria-label
+    const labelDiv = document.createElement('div');
+    labelDiv.className = 'tube-label';
+    labelDiv.setAttribute('aria-hidden', 'true');
+    labelDiv.textContent = index + 1;
+
+    slotDiv.appendChild(tubeDiv);
+    slotDiv.appendChild(labelDiv);
+    return slotDiv;
+  }
+
+  /**
+   * Update one tube's height and balls, keeping balls that are already right
+   */
+  syncTube(tubeElement, tube) {
+    // Calculate tube height based on capacity - perfect fit when filled
+    const ballHeight = 49; // 45px ball + 4px total margin (2px top + 2px bottom)
+    const tubeWallThickness = 6; // 3px border top + 3px border bottom
+    const tubePadding = 10; // 5px padding top + 5px padding bottom
+    tubeElement.style.height = `${(tube.capacity * ballHeight) + tubeWallThickness + tubePadding}px`;
+
+    const ballElements = Array.from(tubeElement.querySelectorAll('.ball'));
+
+    // Balls run bottom to top; everything from the first mismatch up is replaced
+    let keep = 0;
+    while (keep < ballElements.length && keep < tube.balls.length &&
+      ballElements[keep].dataset.color === tube.balls[keep]) {
+      keep++;
+    }
+
+    ballElements.slice(keep).forEach(ball => ball.remove());
+    tube.balls.slice(keep).forEach(color => tubeElement.appendChild(this.createBall(color)));
+
+    tubeElement.setAttribute('aria-label', this.describeTube(tube));
+  }
+
+  /**
+   * Screen reader description: number, fill level, capacity and colors
+   */
+  describeTube(tube) {
+    const name = `Tube ${tube.id + 1}`;
+    if (tube.balls.length === 0) {
+      return `${name}, empty, holds ${tube.capacity}`;
+    }
+
+    return `${name}, ${tube.balls.length} of ${tube.capacity} filled: ${tube.balls.join(', ')} (bottom to top)`;
+  }
+
+  /**
+   * Create a ball element
+   */
+  createBall(color) {
+    const ballDiv = document.createElement('div');
+    ballDiv.className = `ball ${color}`;
+    ballDiv.dataset.color = color;
+    return ballDiv;
+  }
+
+  /**
+   * Tube element for a tube index
+   */
+  getTubeElement(index) {
+    return this.tubeElements[index] || null;
+  }
+
+  /**
+   * Index of the tube that has keyboard focus, or -1
+   */
+  getFocusedIndex() {
+    return this.tubeElements.indexOf(document.activeElement);
+  }
+
+  /**
+   * Make a tube the one reachable with Tab
+   */
+  setFocusIndex(index) {
+    this.focusIndex = index;
+    this.tubeElements.forEach((element, i) => {
+      element.tabIndex = i === index ? 0 : -1;
+    });
+  }
+
+  /**
+   * Move keyboard focus to a tube
+   */
+  focusTube(index) {
+    const element = this.getTubeElement(index);
+    if (!element) return;
+
+    this.setFocusIndex(index);
+    element.focus();
+  }
+
+  /**
+   * Mark one tube (or none, with null) as picked up
+   */
+  setSelected(index) {
+    this.selectedIndex = index;
+    this.tubeElements.forEach((element, i) => {
+      element.classList.toggle('selected', i === index);
+      element.setAttribute('aria-pressed', String(i === index));
+    });
+  }
+
+  /**
+   * Show `amount` balls moving from one tube to another, ending on `puzzle`
+   * (the state after the move). Resolves once every ball has landed.
+   */
+  async animateMove(puzzle, fromIndex, toIndex, amount, { duration = 300, reducedMotion = false } = {}) {
+    const source = this.getTubeElement(fromIndex);
+    const target = this.getTubeElement(toIndex);
+
+    if (reducedMotion || !source || !target || typeof source.animate !== 'function') {
+      this.render(puzzle);
+      return;
+    }
+
+    // Top `amount` balls leave in pour order: topmost first
+    const moving = Array.from(source.querySelectorAll('.ball')).slice(-amount).reverse()
+      .map(ball => ({ ball, first: ball.getBoundingClientRect() }));
+    const sourceRect = source.getBoundingClientRect();
+    const targetRect = target.getBoundingClientRect();
+
+    // Move the real elements, then let the diff fix anything that differs
+    moving.forEach(({ ball }) => target.appendChild(ball));
+    this.render(puzzle);
+
+    const animations = moving.filter(({ ball }) => ball.isConnected).map(({ ball, first }, order) => {
+      const last = ball.getBoundingClientRect();
+      const dx = first.left - last.left;
+      const liftY = sourceRect.top - first.height - last.top;
+      const dropY = targetRect.top - first.height - last.top;
+      const peakY = Math.min(liftY, dropY) - first.height;
+
+      ball.classList.add('moving');
+      const animation = ball.animate([
+        { transform: `translate(${dx}px, ${first.top - last.top}px)` },
+        { transform: `translate(${dx}px, ${liftY}px)`, offset: 0.3 },
+        { transform: `translate(${dx / 2}px, ${peakY}px)`, offset: 0.5 },
+        { transform: `translate(0px, ${dropY}px)`, offset: 0.7 },
+        { transform: 'translate(0px, 0px)' }
+      ], {
+        duration: duration * 2,
+        delay: order * (duration / 4),
+        easing: 'ease-in-out',
+        fill: 'backwards'
+      });
+
+      const done = animation.finished
+        .catch(() => {})
+        .then(() => ball.classList.remove('moving'));
+      this.animations.push(animation);
+      return done;
+    });
+
+    await Promise.all(animations);
+    this.animations = [];
+  }
+
+  /**
+   * Jump any running animations to their end
+   */
+  cancel() {
+    this.animations.forEach(animation => animation.finish());
+    this.animations = [];
+  }
+}
+
+// Export for use in other files
+window.BoardRenderer = BoardRenderer;
@@ -0,0 +1,87 @@
+/**
+ * Ball Sort Puzzle - Custom Levels
+ * Levels made in the level editor, kept in localStorage apart from the shipped levels
+ */
+
+class CustomLevels {
+  constructor() {
+    this.storageKey = 'ballSortCustomLevels';
+    this.data = this.load();
+  }
+
+  /**
+   * Saved levels, newest first, as [{ id, savedAt, level }]
+   */
+  list() {
+    return Object.values(this.data.levels).sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * A saved level entry by id, or null
+   */
+  get(id) {
+    return this.data.levels[id] || null;
+  }
+
+  /**
+   * Save a level, replacing `id` if given. Returns the id, or null if it could not be written.
+   */
+  save(level, id = null) {
+    const entryId = id || `custom-${Date.now().toString(36)}`;
+    const previous = this.data.levels[entryId];
+    this.data.levels[entryId] = { id: entryId, savedAt: Date.now(), level };
+
+    if (!this.write()) {
+      if (previous) {
+        this.data.levels[entryId] = previous;
+      } else {
+        delete this.data.levels[entryId];
+      }
+      return null;
+    }
+    return entryId;
+  }
+
+  /**
+   * Delete a saved level
+   */
+  remove(id) {
+    delete this.data.levels[id];
+    this.write();
+  }
+
+  /**
+   * Write to localStorage. Returns false if it failed (e.g. storage is full).
+   */
+  write() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.data));
+      return true;
+    } catch (error) {
+      console.error('Failed to save custom levels:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load custom levels from localStorage
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      const data = saved ? JSON.parse(saved) : null;
+      if (data && data.version === CustomLevels.STORAGE_VERSION && data.levels) {
+        return data;
+      }
+    } catch (error) {
+      console.error('Failed to load custom levels:', error);
+    }
+
+    return { version: CustomLevels.STORAGE_VERSION, levels: {} };
+  }
+}
+
+CustomLevels.STORAGE_VERSION = 1;
+
+// Export for use in other files
+window.CustomLevels = CustomLevels;
@@ -0,0 +1,165 @@
+/**
+ * Ball Sort Puzzle - Daily Challenge
+ * One generated puzzle per calendar date, built offline from a date seed,
+ * with its own completion, move and streak tracking
+ */
+
+class DailyChallenge {
+  constructor(generator = new LevelGenerator()) {
+    this.generator = generator;
+    this.storageKey = 'ballSortDaily';
+    this.puzzleCache = new Map();
+    this.progress = this.loadProgress();
+  }
+
+  /**
+   * Local calendar date as YYYY-MM-DD
+   */
+  getDateKey(date = new Date()) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Parse a YYYY-MM-DD key back into a local Date
+   */
+  parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Build the puzzle for a date. Depends only on the date, so everyone gets the same one.
+   */
+  getPuzzle(dateKey) {
+    if (this.puzzleCache.has(dateKey)) {
+      return this.puzzleCache.get(dateKey);
+    }
+
+    const settings = {
+      ...DailyChallenge.PUZZLE_SETTINGS,
+      seed: `daily/${dateKey}`,
+      levelId: 0,
+      name: `Daily Challenge ${dateKey}`
+    };
+
+    // Fall back to a wider move range rather than leave a day without a puzzle
+    const level = this.generator.generate(settings) ||
+      this.generator.generate({ ...settings, minMoves: 1, maxAttempts: 1000 });
+
+    if (!level) {
+      throw new Error(`Could not build daily challenge for ${dateKey}`);
+    }
+
+    this.puzzleCache.set(dateKey, level);
+    return level;
+  }
+
+  /**
+   * Saved result for a date, or null if never completed
+   */
+  getDay(dateKey) {
+    return this.progress.days[dateKey] || null;
+  }
+
+  /**
+   * Record a completed daily puzzle, keeping the best result
+   */
+  recordCompletion(dateKey, moves, stars) {
+    const previous = this.getDay(dateKey);
+
+    this.progress.days[dateKey] = {
+      completed: true,
+      moves,
+      bestMoves: previous ? Math.min(previous.bestMoves, moves) : moves,
+      stars: previous ? Math.max(previous.stars, stars) : stars,
+      completedAt: previous ? previous.completedAt : Date.now()
+    };
+
+    this.saveProgress();
+    return this.progress.days[dateKey];
+  }
+
+  /**
+   * Consecutive completed days ending today (or yesterday, if today is still open)
+   */
+  getStreak(today = new Date()) {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    if (!this.getDay(this.getDateKey(date))) {
+      date.setDate(date.getDate() - 1);
+    }
+
+    let streak = 0;
+    while (this.getDay(this.getDateKey(date))) {
+      streak++;
+      date.setDate(date.getDate() - 1);
+    }
+    return streak;
+  }
+
+  /**
+   * Best streak ever recorded
+   */
+  getBestStreak() {
+    const keys = Object.keys(this.progress.days).sort();
+    let best = 0;
+    let current = 0;
+    let previousDate = null;
+
+    for (const key of keys) {
+      const date = this.parseDateKey(key);
+      const isNextDay = previousDate &&
+        this.getDateKey(new Date(previousDate.getFullYear(), previousDate.getMonth(), previousDate.getDate() + 1)) === key;
+
+      current = isNextDay ? current + 1 : 1;
+      best = Math.max(best, current);
+      previousDate = date;
+    }
+
+    return best;
+  }
+
+  /**
+   * Save daily progress to localStorage (separate from ballSortProgress)
+   */
+  saveProgress() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.progress));
+    } catch (error) {
+      console.error('Failed to save daily progress:', error);
+    }
+  }
+
+  /**
+   * Load daily progress from localStorage
+   */
+  loadProgress() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      const progress = saved ? JSON.parse(saved) : null;
+      if (progress && progress.version === DailyChallenge.STORAGE_VERSION && progress.days) {
+        return progress;
+      }
+    } catch (error) {
+      console.error('Failed to load daily challenge progress:', error);
+    }
+
+    return { version: DailyChallenge.STORAGE_VERSION, days: {} };
+  }
+}
+
+DailyChallenge.STORAGE_VERSION = 1;
+
+// Generator settings for daily puzzles - changing these changes every past day's puzzle
+DailyChallenge.PUZZLE_SETTINGS = Object.freeze({
+  tubeCount: 5,
+  capacityMin: 2,
+  capacityMax: 6,
+  desiredLevel: 2,
+  minMoves: 5,
+  maxMoves: 9
+});
+
+// Export for use in other files
+window.DailyChallenge = DailyChallenge;
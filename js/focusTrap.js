@@ -0,0 +1,107 @@
+/**
+ * Ball Sort Puzzle - Focus Trap
+ * Keeps keyboard focus inside an open modal and hands it back when the modal closes
+ */
+
+class FocusTrap {
+  /**
+   * `onEscape` is called when Escape is pressed inside the trap
+   */
+  constructor(container, { onEscape = null } = {}) {
+    this.container = container;
+    this.onEscape = onEscape;
+    this.previousFocus = null;
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Start trapping focus and move it to the first focusable element
+   */
+  activate() {
+    this.previousFocus = document.activeElement;
+    FocusTrap.removeFromStack(this);
+    FocusTrap.stack.push(this);
+    document.addEventListener('keydown', this.handleKeyDown, true);
+
+    const [first] = this.getFocusableElements();
+    (first || this.container).focus();
+  }
+
+  /**
+   * Stop trapping and return focus to where it was before
+   */
+  deactivate() {
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+    FocusTrap.removeFromStack(this);
+
+    if (this.previousFocus && this.previousFocus.isConnected && typeof this.previousFocus.focus === 'function') {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+  }
+
+  /**
+   * Visible, enabled elements that can take focus, in tab order
+   */
+  getFocusableElements() {
+    return Array.from(this.container.querySelectorAll(FocusTrap.FOCUSABLE))
+      .filter(element => !element.disabled && element.offsetParent !== null);
+  }
+
+  /**
+   * Wrap Tab / Shift+Tab at the ends and close on Escape - only in the topmost trap,
+   * so a modal opened over another closes on its own
+   */
+  handleKeyDown(event) {
+    if (FocusTrap.stack[FocusTrap.stack.length - 1] !== this) return;
+
+    if (event.key === 'Escape' && this.onEscape) {
+      // Closing this trap makes the one below it topmost - don't let it see this Escape too
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      this.onEscape();
+      return;
+    }
+
+    if (event.key !== 'Tab') return;
+
+    const focusable = this.getFocusableElements();
+    if (focusable.length === 0) {
+      event.preventDefault();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+
+    if (!this.container.contains(active)) {
+      event.preventDefault();
+      first.focus();
+    } else if (event.shiftKey && active === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Take a trap off the stack of active traps
+   */
+  static removeFromStack(trap) {
+    const index = FocusTrap.stack.indexOf(trap);
+    if (index !== -1) {
+      FocusTrap.stack.splice(index, 1);
+    }
+  }
+}
+
+// Active traps, most recently activated last
+FocusTrap.stack = [];
+
+FocusTrap.FOCUSABLE = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+// Export for use in other files
+window.FocusTrap = FocusTrap;
@@ -0,0 +1,159 @@
+/**
+ * Ball Sort Puzzle - Game Session
+ * Saves the level in progress after every move so it survives a reload or the
+ * app being killed, and checks saves against the level before restoring them
+ */
+
+class GameSession {
+  /**
+   * `storage` defaults to localStorage; Node tooling passes its own
+   */
+  constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null) {
+    this.storage = storage;
+    this.storageKey = 'ballSortSession';
+
+    // Shared modules are globals in the page; Node tooling loads them as modules
+    this.engine = typeof PuzzleEngine !== 'undefined'
+      ? PuzzleEngine
+      : require('./puzzleEngine.js').PuzzleEngine;
+  }
+
+  /**
+   * Fingerprint of a level's starting position - changes whenever the level file does
+   */
+  static fingerprint(levelData) {
+    const engine = typeof PuzzleEngine !== 'undefined'
+      ? PuzzleEngine
+      : require('./puzzleEngine.js').PuzzleEngine;
+    const hashText = typeof SeededRandom !== 'undefined'
+      ? SeededRandom.hashSeed
+      : require('./seededRandom.js').SeededRandom.hashSeed;
+
+    const layout = JSON.stringify({
+      puzzleType: levelData.puzzleType || engine.PUZZLE_TYPES.LIQUID_POURING,
+      desiredLevel: levelData.desiredLevel,
+      tubes: levelData.tubes.map(tube => [tube.capacity, tube.balls])
+    });
+    return hashText(layout).toString(16);
+  }
+
+  /**
+   * Save the live game. `where` identifies the level: { playMode, packId, levelId, dailyDate }.
+   */
+  save(where, levelData, gameState, history) {
+    const session = {
+      version: GameSession.STORAGE_VERSION,
+      playMode: where.playMode,
+      packId: where.packId,
+      levelId: where.levelId,
+      dailyDate: where.dailyDate,
+      fingerprint: GameSession.fingerprint(levelData),
+      puzzle: this.engine.serialize(gameState.puzzle),
+      moves: gameState.moves,
+      undos: gameState.undos,
+      hints: gameState.hints,
+      time: gameState.time,
+      elapsed: Date.now() - gameState.startTime,
+      history: history.toJSON(),
+      savedAt: Date.now()
+    };
+
+    try {
+      this.storage?.setItem(this.storageKey, JSON.stringify(session));
+    } catch (error) {
+      console.error('Failed to save session:', error);
+    }
+  }
+
+  /**
+   * The saved session, or null if there is none (or it can't be read)
+   */
+  load() {
+    try {
+      const saved = this.storage?.getItem(this.storageKey);
+      const session = saved ? JSON.parse(saved) : null;
+      if (session && session.version === GameSession.STORAGE_VERSION) {
+        return session;
+      }
+    } catch (error) {
+      console.error('Failed to load session:', error);
+    }
+
+    return null;
+  }
+
+  /**
+   * Forget the saved session
+   */
+  clear() {
+    try {
+      this.storage?.removeItem(this.storageKey);
+    } catch (error) {
+      console.error('Failed to clear session:', error);
+    }
+  }
+
+  /**
+   * Check a saved session against the level it claims to belong to. Returns
+   * { puzzle, moves, undos, hints, time, elapsed, history } or null if the save is stale or broken.
+   */
+  restore(session, levelData) {
+    if (session.fingerprint !== GameSession.fingerprint(levelData)) {
+      console.warn('Saved session is for a different version of this level - discarding');
+      return null;
+    }
+
+    try {
+      const puzzle = this.engine.deserialize(session.puzzle);
+      const { entries, position } = session.history;
+
+      if (!Array.isArray(entries) || !Number.isInteger(position) || position < 0 || position > entries.length) {
+        throw new Error('Invalid move history');
+      }
+      if (!Number.isInteger(session.moves) || session.moves < position) {
+        throw new Error(`Invalid move count ${session.moves}`);
+      }
+
+      // Every recorded move must be legal, and replaying up to the current
+      // position must land exactly on the saved tubes
+      let state = this.engine.createState(levelData);
+      let current = state;
+      entries.forEach((entry, index) => {
+        const result = this.engine.applyMove(state, entry.from, entry.to);
+        if (result.amount !== entry.amount) {
+          throw new Error(`History move ${index + 1} moved ${result.amount}, not ${entry.amount}`);
+        }
+        state = result.state;
+        if (index + 1 === position) current = state;
+      });
+
+      if (this.engine.getStateKey(current) !== this.engine.getStateKey(puzzle)) {
+        throw new Error('Saved tubes do not match the move history');
+      }
+
+      // Tubes come from the replay, so nothing but the level file decides capacities
+      return {
+        puzzle: current,
+        moves: session.moves,
+        undos: session.undos || 0,
+        hints: session.hints || 0,
+        time: Math.max(0, session.time || 0),
+        elapsed: Math.max(0, session.elapsed || 0),
+        history: { entries, position }
+      };
+    } catch (error) {
+      console.warn('Saved session failed verification - discarding:', error.message);
+      return null;
+    }
+  }
+}
+
+// Bumped whenever the saved session format changes
+GameSession.STORAGE_VERSION = 1;
+
+// Export for the page and Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GameSession };
+} else {
+  window.GameSession = GameSession;
+}
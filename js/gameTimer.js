@@ -0,0 +1,109 @@
+/**
+ * Ball Sort Puzzle - Game Timer
+ * A stopwatch that only counts while the game can actually be played: it can
+ * be paused for any number of reasons at once (hidden tab, open modal) and
+ * only runs again once all of them are cleared
+ */
+
+class GameTimer {
+  constructor(onTick = null) {
+    this.onTick = onTick;
+    this.started = false;
+    this.elapsedBefore = 0;
+    this.runningSince = null;
+    this.pauseReasons = new Set();
+    this.interval = null;
+  }
+
+  /**
+   * Start counting (does nothing if already started)
+   */
+  start() {
+    if (this.started) return;
+
+    this.started = true;
+    this.update();
+  }
+
+  /**
+   * Stop counting and keep the elapsed time
+   */
+  stop() {
+    this.started = false;
+    this.update();
+  }
+
+  /**
+   * Stop and set the elapsed time, e.g. back to 0 for a new level.
+   * Pause reasons are kept - a modal that is open stays open.
+   */
+  reset(elapsed = 0) {
+    this.started = false;
+    this.update();
+    this.elapsedBefore = elapsed;
+    this.onTick?.(elapsed);
+  }
+
+  /**
+   * Pause for a reason (e.g. 'hidden' or a modal id)
+   */
+  pause(reason) {
+    this.pauseReasons.add(reason);
+    this.update();
+  }
+
+  /**
+   * Clear a pause reason; the timer runs again once none are left
+   */
+  resume(reason) {
+    this.pauseReasons.delete(reason);
+    this.update();
+  }
+
+  /**
+   * Whether time is passing right now
+   */
+  isRunning() {
+    return this.started && this.pauseReasons.size === 0;
+  }
+
+  /**
+   * Milliseconds counted so far
+   */
+  getElapsed() {
+    const running = this.runningSince !== null ? Date.now() - this.runningSince : 0;
+    return this.elapsedBefore + running;
+  }
+
+  /**
+   * Start or stop the clock to match the current state
+   */
+  update() {
+    const running = this.isRunning();
+
+    if (running && this.runningSince === null) {
+      this.runningSince = Date.now();
+      this.interval = setInterval(() => this.onTick?.(this.getElapsed()), GameTimer.TICK_INTERVAL);
+    } else if (!running && this.runningSince !== null) {
+      this.elapsedBefore += Date.now() - this.runningSince;
+      this.runningSince = null;
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    this.onTick?.(this.getElapsed());
+  }
+
+  /**
+   * Milliseconds as m:ss
+   */
+  static format(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+}
+
+GameTimer.TICK_INTERVAL = 250;
+
+// Export for use in other files
+window.GameTimer = GameTimer;
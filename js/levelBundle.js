@@ -0,0 +1,135 @@
+/**
+ * Ball Sort Puzzle - Level Bundle
+ * All shipped levels in one minified file, so the game loads them in a single
+ * request. Tubes are stored compactly (capacity and color indices) and only
+ * decoded when a level is played. The bundle's content hash is part of its file
+ * name and is recorded in levels-index.json, so the two can't silently disagree.
+ */
+
+class LevelBundle {
+  /**
+   * Build a bundle for an index from its levels, given in index order.
+   * Levels are stored as [id, key, encodedLevel].
+   */
+  static build(levelIndex, levelDataList) {
+    const levels = levelIndex.levels.map((levelInfo, position) => {
+      const levelData = levelDataList[position];
+      if (!levelData) {
+        throw new Error(`Level ${levelInfo.id} (${levelInfo.file}) is missing`);
+      }
+      if (levelData.levelId !== levelInfo.id) {
+        throw new Error(`${levelInfo.file} has levelId ${levelData.levelId} but the index lists it as level ${levelInfo.id}`);
+      }
+      return [levelInfo.id, levelInfo.key, LevelBundle.encodeLevel(levelData)];
+    });
+
+    return {
+      format: LevelBundle.FORMAT_VERSION,
+      version: levelIndex.version,
+      hash: LevelBundle.hash(levels),
+      levels
+    };
+  }
+
+  /**
+   * Content hash of the bundled levels (8 hex digits)
+   */
+  static hash(levels) {
+    const hashText = typeof SeededRandom !== 'undefined'
+      ? SeededRandom.hashSeed
+      : require('./seededRandom.js').SeededRandom.hashSeed;
+
+    return hashText(JSON.stringify(levels)).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * File name of a bundle in the levels directory
+   */
+  static fileName(hash) {
+    return `levels.${hash}.json`;
+  }
+
+  /**
+   * Check a bundle against the index that points to it. Returns a list of problems (empty if they agree).
+   */
+  static verify(bundle, levelIndex) {
+    const problems = [];
+    if (!bundle || !Array.isArray(bundle.levels)) {
+      return ['Bundle has no "levels" array'];
+    }
+    if (bundle.format > LevelBundle.FORMAT_VERSION) {
+      problems.push(`Bundle format ${bundle.format} is newer than this version understands`);
+    }
+
+    const hash = LevelBundle.hash(bundle.levels);
+    if (bundle.hash !== hash) {
+      problems.push(`Bundle hash is ${bundle.hash} but its levels hash to ${hash}`);
+    }
+    if (!levelIndex.bundle || levelIndex.bundle.hash !== bundle.hash) {
+      problems.push(`Index expects bundle ${levelIndex.bundle ? levelIndex.bundle.hash : '(none)'} but found ${bundle.hash}`);
+    }
+
+    const ids = levelIndex.levels.map(levelInfo => levelInfo.id);
+    if (new Set(ids).size !== ids.length) {
+      problems.push('The index lists a level id more than once');
+    }
+    if (bundle.levels.length !== levelIndex.levels.length) {
+      problems.push(`Bundle has ${bundle.levels.length} levels but the index lists ${levelIndex.levels.length}`);
+    }
+    levelIndex.levels.forEach((levelInfo, position) => {
+      const entry = bundle.levels[position];
+      if (!entry || entry[0] !== levelInfo.id) {
+        problems.push(`Level ${levelInfo.id} is not at position ${position + 1} of the bundle`);
+      } else if (entry[1] !== levelInfo.key) {
+        problems.push(`Level ${levelInfo.id} has key "${entry[1]}" in the bundle but "${levelInfo.key}" in the index`);
+      }
+    });
+
+    return problems;
+  }
+
+  /**
+   * Decode one level from a bundle
+   */
+  static decode(bundle, levelId) {
+    const entry = bundle.levels.find(([id]) => id === levelId);
+    if (!entry) {
+      throw new Error(`Level ${levelId} is not in the bundle`);
+    }
+    return LevelBundle.decodeLevel(entry[2]);
+  }
+
+  /**
+   * Level data with each tube as [capacity, [color index, ...]] into `colors`
+   */
+  static encodeLevel(levelData) {
+    return {
+      ...levelData,
+      tubes: levelData.tubes.map(tube => [tube.capacity, tube.balls.map(ball => levelData.colors.indexOf(ball))])
+    };
+  }
+
+  /**
+   * Inverse of encodeLevel - tube ids are their positions
+   */
+  static decodeLevel(encoded) {
+    return {
+      ...encoded,
+      tubes: encoded.tubes.map(([capacity, balls], id) => ({
+        id,
+        balls: balls.map(index => encoded.colors[index]),
+        capacity
+      }))
+    };
+  }
+}
+
+// Bumped whenever the bundle layout changes
+LevelBundle.FORMAT_VERSION = 1;
+
+// Export for the page and Node tooling
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LevelBundle };
+} else {
+  window.LevelBundle = LevelBundle;
+}
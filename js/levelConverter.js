@@ -1,167 +1,166 @@
 /**
  * Level Converter - Converts your format to game format
- * Converts distribution_*.json files to game-ready level files
+ * Converts distribution_*.json files to game-ready level files.
+ * Shared by convert-levels.js and the page, so both produce identical levels:
+ * colors are shuffled with a PRNG seeded from the source file name (and an
+ * optional extra seed), never Math.random().
  */
 
 class LevelConverter {
   constructor() {
-    this.colors = ['red', 'blue', 'green', 'yellow', 'purple', 'orange', 'pink', 'brown', 'gray', 'cyan'];
+    // Shared modules are globals in the page; Node tooling loads them as modules
+    const isNode = typeof module !== 'undefined' && module.exports;
+    this.engine = isNode ? require('./puzzleEngine.js').PuzzleEngine : PuzzleEngine;
+    this.SeededRandom = isNode ? require('./seededRandom.js').SeededRandom : SeededRandom;
+    const PalettesModule = isNode ? require('./palettes.js').Palettes : Palettes;
+
+    // The first ten palette colors - more would change the shipped levels
+    this.colors = PalettesModule.COLORS.slice(0, 10);
   }
 
   /**
-   * Convert your puzzle format to game format
+   * Convert puzzle data to game format with proper color distribution.
+   * The same file name and seed always give the same level.
    */
-  convertPuzzle(puzzleData, levelId, levelName) {
+  convertPuzzle(puzzleData, levelId, originalNumber, seed = null) {
     const { initialState, bottleCapacities, desiredLevel, movesToSolve } = puzzleData.puzzle;
-    
-    // Generate tubes with balls
-    const tubes = [];
-    const usedColors = new Set();
-    
-    for (let i = 0; i < initialState.length; i++) {
-      const ballCount = initialState[i];
-      const capacity = bottleCapacities[i];
-      
-      // Generate balls for this tube
-      const balls = [];
-      
-      if (ballCount > 0) {
-        // Create balls - we need to distribute colors
-        // For simplicity, we'll use sequential colors for each tube
-        const colorIndex = i % this.colors.length;
-        const color = this.colors[colorIndex];
-        usedColors.add(color);
-        
-        // Fill tube with balls (all same color for now - we'll improve this)
-        for (let j = 0; j < ballCount; j++) {
-          balls.push(color);
-        }
-      }
-      
-      tubes.push({
-        id: i,
-        balls: balls,
-        capacity: capacity
-      });
-    }
-    
-    // Create a more realistic color distribution
-    const colorsArray = Array.from(usedColors);
+    const originalFile = `distribution_23555_4_${originalNumber}_solution.json`;
+    const random = new this.SeededRandom(LevelConverter.getSeed(originalFile, seed));
+
+    // Calculate how many colors we need based on desiredLevel and total balls
     const totalBalls = initialState.reduce((sum, count) => sum + count, 0);
-    const ballsPerColor = Math.floor(totalBalls / colorsArray.length);
-    
-    // Redistribute balls more realistically
+    const numColors = Math.ceil(totalBalls / desiredLevel);
+    const ballsPerColor = desiredLevel;
+
+    // Create color distribution
     const allBalls = [];
-    for (let i = 0; i < colorsArray.length; i++) {
-      const color = colorsArray[i];
+    for (let i = 0; i < numColors; i++) {
+      const color = this.colors[i % this.colors.length];
       for (let j = 0; j < ballsPerColor; j++) {
         allBalls.push(color);
       }
     }
-    
-    // Shuffle balls
-    this.shuffleArray(allBalls);
-    
-    // Redistribute to tubes based on initial state
+
+    // Shuffle the balls to create a challenging initial state
+    random.shuffle(allBalls);
+
+    // Create tubes
+    const tubes = [];
     let ballIndex = 0;
-    for (let i = 0; i < tubes.length; i++) {
+
+    for (let i = 0; i < initialState.length; i++) {
       const ballCount = initialState[i];
-      tubes[i].balls = [];
-      
+      const capacity = bottleCapacities[i];
+      const balls = [];
+
+      // Fill this tube with balls
       for (let j = 0; j < ballCount; j++) {
         if (ballIndex < allBalls.length) {
-          tubes[i].balls.push(allBalls[ballIndex++]);
+          balls.push(allBalls[ballIndex++]);
         }
       }
+
+      tubes.push({
+        id: i,
+        balls: balls,
+        capacity: capacity
+      });
     }
-    
+
+    // Get unique colors used
+    const usedColors = [...new Set(allBalls)];
+
     return {
       levelId: levelId,
-      name: levelName,
-      difficulty: this.getDifficulty(movesToSolve, tubes.length),
+      name: `Level ${levelId} - Puzzle ${originalNumber}`,
+      difficulty: this.getDifficulty(movesToSolve, tubes.length, totalBalls),
       tubes: tubes,
-      colors: colorsArray,
+      colors: usedColors,
       moves: 0,
       minMoves: movesToSolve,
-      stars: {
-        "1": Math.ceil(movesToSolve * 2.0),
-        "2": Math.ceil(movesToSolve * 1.5), 
-        "3": movesToSolve
-      }
+      originalFile,
+      puzzleType: this.engine.PUZZLE_TYPES.LIQUID_POURING,
+      desiredLevel: desiredLevel,
+      solutionIndexBase: 1, // Distribution files number bottles from 1
+      solutionSteps: puzzleData.puzzle.solutionSteps || []
     };
   }
-  
+
   /**
-   * Determine difficulty based on moves and complexity
+   * Replay the source solution through the rules engine
    */
-  getDifficulty(moves, tubeCount) {
-    if (moves <= 6 && tubeCount <= 5) return "easy";
-    if (moves <= 12 && tubeCount <= 7) return "medium";
-    return "hard";
+  verifySolution(gameLevel) {
+    const base = gameLevel.solutionIndexBase;
+    const steps = gameLevel.solutionSteps.map(([from, to]) => [from - base, to - base]);
+    const result = this.engine.replay(this.engine.createState(gameLevel), steps);
+    return result.valid && result.solved;
   }
-  
+
   /**
-   * Shuffle array in place
+   * Determine difficulty from moves, tubes and balls - the same scale the
+   * shipped levels were first converted with (convert-levels.py)
    */
-  shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [array[i], array[j]] = [array[j], array[i]];
-    }
+  getDifficulty(moves, tubeCount, totalBalls) {
+    const complexity = moves + (tubeCount * 0.5) + (totalBalls * 0.1);
+
+    if (complexity <= 6) return "easy";
+    if (complexity <= 12) return "medium";
+    return "hard";
   }
-  
+
   /**
-   * Extract level number from filename
+   * Extract puzzle number from filename
    */
-  extractLevelNumber(filename) {
+  extractPuzzleNumber(filename) {
     const match = filename.match(/distribution_23555_4_(\d+)_solution\.json/);
-    return match ? parseInt(match[1]) : 0;
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * PRNG seed for a source file: its name, prefixed by the extra seed if one is given
+   */
+  static getSeed(filename, seed = null) {
+    return seed === null ? filename : `${seed}/${filename}`;
   }
 }
 
-// Convert all levels function
-async function convertAllLevels() {
+// Distribution files shipped in levels/ - the page can't list a directory
+LevelConverter.FILE_NUMBERS = Object.freeze([
+  25, 28, 29, 32, 34, 37, 38, 39, 40, 50, 51, 52, 53, 54, 56, 58, 60, 61, 62, 63, 66, 68, 71, 72, 79,
+  81, 84, 85, 86, 87, 91, 95, 96, 101, 102, 104, 115, 116, 119, 120, 121, 125, 127, 130, 131, 135, 139, 140, 141, 142
+]);
+
+// Convert all levels in the page - gives the same levels as `node convert-levels.js`
+async function convertAllLevels(seed = null) {
   const converter = new LevelConverter();
   const convertedLevels = [];
-  
-  try {
-    // Get list of all distribution files
-    const response = await fetch('./levels/');
-    // Since we can't list directory via fetch, we'll work with known files
-    
-    const fileNumbers = [25, 28, 29, 32, 34, 37, 38, 39, 40, 50, 51, 52, 53, 54, 56, 58, 60, 61, 62, 63, 66, 68, 71, 72, 79, 81, 84, 85, 86, 87, 91, 95, 96, 101, 102, 104, 115, 116, 119, 120, 121, 125, 127, 130, 131, 135, 139, 140, 141, 142];
-    
-    for (let i = 0; i < fileNumbers.length; i++) {
-      const fileNum = fileNumbers[i];
-      const filename = `distribution_23555_4_${fileNum}_solution.json`;
-      
-      try {
-        const response = await fetch(`./levels/${filename}`);
-        const puzzleData = await response.json();
-        
-        const converted = converter.convertPuzzle(
-          puzzleData,
-          i + 1,
-          `Level ${i + 1} - Puzzle ${fileNum}`
-        );
-        
-        convertedLevels.push(converted);
-        console.log(`Converted level ${i + 1}: ${filename}`);
-        
-      } catch (error) {
-        console.error(`Failed to convert ${filename}:`, error);
-      }
+
+  for (let i = 0; i < LevelConverter.FILE_NUMBERS.length; i++) {
+    const fileNum = LevelConverter.FILE_NUMBERS[i];
+    const filename = `distribution_23555_4_${fileNum}_solution.json`;
+
+    try {
+      const response = await fetch(`./levels/${filename}`);
+      const puzzleData = await response.json();
+
+      const converted = converter.convertPuzzle(puzzleData, i + 1, fileNum, seed);
+
+      convertedLevels.push(converted);
+      console.log(`Converted level ${i + 1}: ${filename}`);
+
+    } catch (error) {
+      console.error(`Failed to convert ${filename}:`, error);
     }
-    
-    console.log(`Converted ${convertedLevels.length} levels`);
-    return convertedLevels;
-    
-  } catch (error) {
-    console.error('Failed to convert levels:', error);
-    return [];
   }
+
+  console.log(`Converted ${convertedLevels.length} levels`);
+  return convertedLevels;
 }
 
-// Export for use
-window.LevelConverter = LevelConverter;
-window.convertAllLevels = convertAllLevels;
+// Export for the page and Node tooling
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LevelConverter };
+} else {
+  window.LevelConverter = LevelConverter;
+  window.convertAllLevels = convertAllLevels;
+}
@@ -0,0 +1,337 @@
+/**
+ * Ball Sort Puzzle - Level Editor
+ * Edits a draft level (tubes, capacities, balls, rules) in the editor modal,
+ * solves it to fill in minMoves and solutionSteps, and builds level
+ * data in the same shape as the shipped level files
+ */
+
+class LevelEditor {
+  constructor(container, paletteContainer, { solverClient, generator, scoring, onChange = null } = {}) {
+    this.container = container;
+    this.paletteContainer = paletteContainer;
+    this.solverClient = solverClient;
+    this.generator = generator;
+    this.scoring = scoring;
+    this.onChange = null;
+
+    this.activeColor = LevelEditor.COLORS[0];
+    this.draft = null;
+    this.solution = null;
+
+    // Bumped on every edit so a solve started before the edit is ignored
+    this.revision = 0;
+
+    this.reset();
+
+    // Set after the first draft so listeners aren't called from the constructor
+    this.onChange = onChange;
+  }
+
+  /**
+   * Start over with an empty draft
+   */
+  reset() {
+    this.load({
+      name: 'Custom Level',
+      puzzleType: PuzzleEngine.PUZZLE_TYPES.LIQUID_POURING,
+      desiredLevel: 2,
+      tubes: [
+        { capacity: 4, balls: [] },
+        { capacity: 4, balls: [] },
+        { capacity: 4, balls: [] }
+      ]
+    });
+  }
+
+  /**
+   * Edit existing level data (a custom level or any level file)
+   */
+  load(level) {
+    this.draft = {
+      name: level.name || 'Custom Level',
+      puzzleType: level.puzzleType || PuzzleEngine.PUZZLE_TYPES.LIQUID_POURING,
+      desiredLevel: level.desiredLevel || 2,
+      tubes: level.tubes.map(tube => ({ capacity: tube.capacity, balls: [...tube.balls] }))
+    };
+
+    const steps = level.solutionSteps;
+    const base = level.solutionIndexBase || 0;
+    this.solution = Number.isInteger(level.minMoves) && Array.isArray(steps) && steps.length === level.minMoves
+      ? { minMoves: level.minMoves, solutionSteps: steps.map(([from, to]) => [from - base, to - base]) }
+      : null;
+
+    this.changed(false);
+  }
+
+  /**
+   * Whether the draft uses liquid pouring rules (where colors don't matter)
+   */
+  isLiquid() {
+    return this.draft.puzzleType === PuzzleEngine.PUZZLE_TYPES.LIQUID_POURING;
+  }
+
+  /**
+   * Re-render and notify after an edit. Edits that change the puzzle drop the solution.
+   */
+  changed(invalidate = true) {
+    this.revision++;
+    if (invalidate) {
+      this.solution = null;
+    }
+    this.render();
+    this.onChange?.();
+  }
+
+  /**
+   * Set the level name
+   */
+  setName(name) {
+    this.draft.name = name;
+    this.onChange?.();
+  }
+
+  /**
+   * Switch rules. The balls keep their colors - liquid pouring doesn't move by
+   * color, but the colors are still how the level looks.
+   */
+  setPuzzleType(puzzleType) {
+    if (!Object.values(PuzzleEngine.PUZZLE_TYPES).includes(puzzleType)) {
+      throw new Error(`Unknown puzzle type: ${puzzleType}`);
+    }
+
+    this.draft.puzzleType = puzzleType;
+    this.changed();
+  }
+
+  /**
+   * Units every tube must hold to win (liquid pouring)
+   */
+  setDesiredLevel(desiredLevel) {
+    this.draft.desiredLevel = this.clamp(desiredLevel, 1, LevelEditor.MAX_CAPACITY);
+    this.changed();
+  }
+
+  /**
+   * Color placed by clicking a slot
+   */
+  setActiveColor(color) {
+    this.activeColor = color;
+    this.renderPalette();
+  }
+
+  /**
+   * Add an empty tube with the same capacity as the last one
+   */
+  addTube() {
+    if (this.draft.tubes.length >= LevelEditor.MAX_TUBES) return;
+
+    const last = this.draft.tubes[this.draft.tubes.length - 1];
+    this.draft.tubes.push({ capacity: last ? last.capacity : 4, balls: [] });
+    this.changed();
+  }
+
+  /**
+   * Remove a tube
+   */
+  removeTube(index) {
+    if (this.draft.tubes.length <= 1) return;
+
+    this.draft.tubes.splice(index, 1);
+    this.changed();
+  }
+
+  /**
+   * Change a tube's capacity, dropping balls that no longer fit
+   */
+  setCapacity(index, capacity) {
+    const tube = this.draft.tubes[index];
+    tube.capacity = this.clamp(capacity, 1, LevelEditor.MAX_CAPACITY);
+    tube.balls = tube.balls.slice(0, tube.capacity);
+    this.changed();
+  }
+
+  /**
+   * Click on a slot: fill up to it with the active color, recolor the ball there,
+   * or - if it already has the active color - remove it and everything above it
+   */
+  paintSlot(tubeIndex, slotIndex) {
+    const tube = this.draft.tubes[tubeIndex];
+
+    if (slotIndex >= tube.balls.length) {
+      while (tube.balls.length <= slotIndex) {
+        tube.balls.push(this.activeColor);
+      }
+    } else if (tube.balls[slotIndex] === this.activeColor) {
+      tube.balls = tube.balls.slice(0, slotIndex);
+    } else {
+      tube.balls[slotIndex] = this.activeColor;
+    }
+    this.changed();
+  }
+
+  /**
+   * Solve the draft with the solver. Resolves with { minMoves, solutionSteps };
+   * rejects with a message meant for the player if the level can't be used.
+   */
+  async solve() {
+    if (this.solution) return this.solution;
+
+    const revision = this.revision;
+    const state = PuzzleEngine.createState(this.getLevelLayout());
+
+    if (this.draft.tubes.length < 2) {
+      throw new Error('A level needs at least 2 tubes');
+    }
+    if (!state.tubes.some(tube => tube.balls.length > 0)) {
+      throw new Error('Place some balls first');
+    }
+    if (PuzzleEngine.isSolved(state)) {
+      throw new Error('This level is already solved - mix it up a bit');
+    }
+
+    const result = await this.solverClient.solve(state);
+    if (revision !== this.revision) {
+      throw new Error('The level changed while it was being solved - try again');
+    }
+    if (!result.solvable) {
+      throw new Error(result.truncated
+        ? 'Too complex for the solver - try fewer tubes or balls'
+        : 'This level cannot be solved');
+    }
+
+    this.solution = { minMoves: result.steps.length, solutionSteps: result.steps };
+    this.onChange?.();
+    return this.solution;
+  }
+
+  /**
+   * Rules and tubes of the draft, as taken by PuzzleEngine.createState
+   */
+  getLevelLayout() {
+    return {
+      puzzleType: this.draft.puzzleType,
+      desiredLevel: this.draft.desiredLevel,
+      tubes: this.draft.tubes.map((tube, index) => ({ id: index, balls: [...tube.balls], capacity: tube.capacity }))
+    };
+  }
+
+  /**
+   * Full level data for the solved draft, in the shape of a level file
+   */
+  buildLevel(levelId) {
+    if (!this.solution) {
+      throw new Error('Solve the level first');
+    }
+
+    const { tubes, puzzleType, desiredLevel } = this.getLevelLayout();
+    const { minMoves, solutionSteps } = this.solution;
+    const totalUnits = tubes.reduce((sum, tube) => sum + tube.balls.length, 0);
+
+    const level = {
+      levelId,
+      name: this.draft.name.trim() || 'Custom Level',
+      difficulty: this.generator.getDifficulty(minMoves, tubes.length, totalUnits),
+      tubes,
+      colors: [...new Set(tubes.flatMap(tube => tube.balls))],
+      moves: 0,
+      minMoves,
+      puzzleType,
+      solutionIndexBase: 0,
+      solutionSteps
+    };
+
+    // desiredLevel only means something for liquid pouring
+    if (puzzleType === PuzzleEngine.PUZZLE_TYPES.LIQUID_POURING) {
+      level.desiredLevel = desiredLevel;
+    }
+    return level;
+  }
+
+  /**
+   * Draw the tube editor and the color palette
+   */
+  render() {
+    this.renderPalette();
+    if (!this.container) return;
+
+    this.container.innerHTML = '';
+    this.draft.tubes.forEach((tube, tubeIndex) => {
+      const column = document.createElement('div');
+      column.className = 'editor-tube';
+
+      const slots = document.createElement('div');
+      slots.className = 'editor-slots';
+      for (let slotIndex = 0; slotIndex < tube.capacity; slotIndex++) {
+        const color = tube.balls[slotIndex];
+        const slot = document.createElement('button');
+        slot.type = 'button';
+        slot.className = 'editor-slot';
+        slot.setAttribute('aria-label', `Tube ${tubeIndex + 1}, slot ${slotIndex + 1}: ${color || 'empty'}`);
+        if (color) {
+          const ball = document.createElement('span');
+          ball.className = `ball ${color}`;
+          slot.appendChild(ball);
+        }
+        slot.addEventListener('click', () => this.paintSlot(tubeIndex, slotIndex));
+        slots.appendChild(slot);
+      }
+      column.appendChild(slots);
+
+      const capacity = document.createElement('input');
+      capacity.type = 'number';
+      capacity.className = 'editor-capacity';
+      capacity.min = 1;
+      capacity.max = LevelEditor.MAX_CAPACITY;
+      capacity.value = tube.capacity;
+      capacity.setAttribute('aria-label', `Tube ${tubeIndex + 1} capacity`);
+      capacity.addEventListener('change', () => this.setCapacity(tubeIndex, parseInt(capacity.value, 10)));
+      column.appendChild(capacity);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'editor-remove';
+      remove.textContent = '✖';
+      remove.disabled = this.draft.tubes.length <= 1;
+      remove.setAttribute('aria-label', `Remove tube ${tubeIndex + 1}`);
+      remove.addEventListener('click', () => this.removeTube(tubeIndex));
+      column.appendChild(remove);
+
+      this.container.appendChild(column);
+    });
+  }
+
+  /**
+   * Draw the color palette
+   */
+  renderPalette() {
+    if (!this.paletteContainer) return;
+
+    this.paletteContainer.innerHTML = '';
+    for (const color of LevelEditor.COLORS) {
+      const swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.className = `editor-swatch ball ${color}`;
+      swatch.setAttribute('role', 'radio');
+      swatch.setAttribute('aria-checked', String(color === this.activeColor));
+      swatch.setAttribute('aria-label', color);
+      swatch.addEventListener('click', () => this.setActiveColor(color));
+      this.paletteContainer.appendChild(swatch);
+    }
+  }
+
+  /**
+   * Clamp a number input, treating junk as the minimum
+   */
+  clamp(value, min, max) {
+    return Number.isInteger(value) ? Math.min(Math.max(value, min), max) : min;
+  }
+}
+
+LevelEditor.MAX_TUBES = 12;
+LevelEditor.MAX_CAPACITY = 10;
+
+// Colors offered in the palette - every color a ball can be
+LevelEditor.COLORS = Palettes.COLORS;
+
+// Export for use in other files
+window.LevelEditor = LevelEditor;
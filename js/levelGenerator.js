@@ -0,0 +1,150 @@
+/**
+ * Ball Sort Puzzle - Level Generator
+ * Builds seeded liquid-pouring puzzles and keeps only candidates whose
+ * optimal solution falls in the requested move range.
+ * Used by generate-levels.js and by in-game generated content.
+ */
+
+class LevelGenerator {
+  constructor(options = {}) {
+    // Shared modules are globals in the page; Node tooling loads them as modules
+    const isNode = typeof module !== 'undefined' && module.exports;
+    this.engine = isNode ? require('./puzzleEngine.js').PuzzleEngine : PuzzleEngine;
+    this.SeededRandom = isNode ? require('./seededRandom.js').SeededRandom : SeededRandom;
+    const Solver = isNode ? require('./solver.js').PuzzleSolver : PuzzleSolver;
+
+    this.solver = new Solver({ maxStates: options.maxStates || 100000 });
+  }
+
+  /**
+   * Generate one level. Returns level data, or null if no candidate within
+   * `maxAttempts` matched the target difficulty.
+   */
+  generate(options = {}) {
+    const settings = { ...LevelGenerator.DEFAULTS, ...options };
+    this.checkSettings(settings);
+
+    const random = new this.SeededRandom(String(settings.seed));
+
+    for (let attempt = 0; attempt < settings.maxAttempts; attempt++) {
+      const tubes = this.createCandidate(settings, random);
+      const state = this.engine.createState({
+        puzzleType: this.engine.PUZZLE_TYPES.LIQUID_POURING,
+        desiredLevel: settings.desiredLevel,
+        tubes
+      });
+
+      if (this.engine.isSolved(state)) continue;
+
+      const solution = this.solver.solve(state);
+      if (!solution.solvable) continue;
+
+      const moves = solution.steps.length;
+      if (moves < settings.minMoves || moves > settings.maxMoves) continue;
+
+      return this.buildLevel(settings, tubes, solution.steps);
+    }
+
+    return null;
+  }
+
+  /**
+   * Reject settings that can never produce a level
+   */
+  checkSettings(settings) {
+    if (settings.tubeCount < 2) {
+      throw new Error('A level needs at least 2 tubes');
+    }
+    if (settings.desiredLevel < 1) {
+      throw new Error('desiredLevel must be at least 1');
+    }
+    if (settings.capacityMax < settings.desiredLevel || settings.capacityMax < settings.capacityMin) {
+      throw new Error(`Capacity range ${settings.capacityMin}-${settings.capacityMax} cannot hold desiredLevel ${settings.desiredLevel}`);
+    }
+    if (settings.minMoves > settings.maxMoves) {
+      throw new Error(`Move range ${settings.minMoves}-${settings.maxMoves} is empty`);
+    }
+  }
+
+  /**
+   * Random capacities and a random spread of desiredLevel × tubeCount units
+   */
+  createCandidate(settings, random) {
+    const lowestCapacity = Math.max(settings.capacityMin, settings.desiredLevel);
+    const capacities = [];
+    for (let i = 0; i < settings.tubeCount; i++) {
+      capacities.push(random.nextInt(lowestCapacity, settings.capacityMax));
+    }
+
+    const counts = new Array(settings.tubeCount).fill(0);
+    const totalUnits = settings.tubeCount * settings.desiredLevel;
+    for (let unit = 0; unit < totalUnits; unit++) {
+      const open = [];
+      counts.forEach((count, index) => {
+        if (count < capacities[index]) open.push(index);
+      });
+      counts[random.pick(open)]++;
+    }
+
+    return capacities.map((capacity, index) => ({
+      id: index,
+      balls: new Array(counts[index]).fill(settings.color),
+      capacity
+    }));
+  }
+
+  /**
+   * Assemble a level file in the same shape as the converted levels
+   */
+  buildLevel(settings, tubes, steps) {
+    const minMoves = steps.length;
+    const totalUnits = tubes.reduce((sum, tube) => sum + tube.balls.length, 0);
+
+    return {
+      levelId: settings.levelId,
+      name: settings.name || `Generated ${settings.seed}`,
+      difficulty: this.getDifficulty(minMoves, tubes.length, totalUnits),
+      tubes,
+      colors: [settings.color],
+      moves: 0,
+      minMoves,
+      puzzleType: this.engine.PUZZLE_TYPES.LIQUID_POURING,
+      desiredLevel: settings.desiredLevel,
+      solutionIndexBase: 0,
+      solutionSteps: steps,
+      seed: String(settings.seed)
+    };
+  }
+
+  /**
+   * Difficulty from moves, tubes and units - same scale as convert-levels.py
+   */
+  getDifficulty(moves, tubeCount, totalUnits) {
+    const complexity = moves + (tubeCount * 0.5) + (totalUnits * 0.1);
+
+    if (complexity <= 6) return 'easy';
+    if (complexity <= 12) return 'medium';
+    return 'hard';
+  }
+}
+
+LevelGenerator.DEFAULTS = Object.freeze({
+  tubeCount: 5,
+  capacityMin: 2,
+  capacityMax: 5,
+  desiredLevel: 2,
+  minMoves: 4,
+  maxMoves: 8,
+  color: 'blue',
+  seed: 'default',
+  levelId: 0,
+  name: null,
+  maxAttempts: 200
+});
+
+// Export for the page and Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LevelGenerator };
+} else {
+  window.LevelGenerator = LevelGenerator;
+}
@@ -8,19 +8,59 @@ class LevelManager {
     this.currentLevel = null;
     this.levelIndex = null;
     this.levelsCache = new Map();
+    
+    // Imported level pack being played (see LevelPacks), or null for the shipped levels
+    this.pack = null;
+    
+    // Shipped levels in one file (see LevelBundle), or null to load level files one by one
+    this.bundle = null;
+    
+    // Shared modules are globals in the page; Node tooling loads them as modules
+    this.engine = typeof PuzzleEngine !== 'undefined'
+      ? PuzzleEngine
+      : require('./puzzleEngine.js').PuzzleEngine;
+    this.hashText = (typeof SeededRandom !== 'undefined'
+      ? SeededRandom
+      : require('./seededRandom.js').SeededRandom).hashSeed;
+    this.Bundle = typeof LevelBundle !== 'undefined'
+      ? LevelBundle
+      : require('./levelBundle.js').LevelBundle;
+    
+    this.Store = typeof ProgressStore !== 'undefined'
+      ? ProgressStore
+      : require('./progressStore.js').ProgressStore;
+    this.progressStore = new this.Store();
   }
 
   /**
-   * Initialize the level manager by loading the level index
+   * Initialize the level manager with the shipped level index, or with an
+   * imported level pack (whose progress is kept separately)
    */
-  async initialize() {
+  async initialize(pack = null) {
     try {
-      const response = await fetch('./levels/levels-index.json');
-      if (!response.ok) {
-        throw new Error(`Failed to load level index: ${response.status}`);
+      if (pack) {
+        this.levelIndex = JSON.parse(JSON.stringify(pack.index));
+      } else {
+        const response = await fetch('./levels/levels-index.json');
+        if (!response.ok) {
+          throw new Error(`Failed to load level index: ${response.status}`);
+        }
+        this.levelIndex = await response.json();
       }
-      this.levelIndex = await response.json();
-      console.log(`Loaded ${this.levelIndex.totalLevels} levels`);
+      
+      this.bundle = pack ? null : await this.loadBundle(this.levelIndex);
+      this.pack = pack;
+      this.levelsCache.clear();
+      this.currentLevel = null;
+      this.progressStore = new this.Store(undefined, pack ? pack.id : null);
+      
+      // Progress is keyed by level key; indexes written before keys existed fall back to the file name
+      for (const levelInfo of this.levelIndex.levels) {
+        levelInfo.key = levelInfo.key || levelInfo.file;
+        levelInfo.bestTime = levelInfo.bestTime ?? null;
+      }
+      
+      console.log(`Loaded ${this.levelIndex.totalLevels} levels${pack ? ` from pack ${pack.name}` : ''}`);
       return true;
     } catch (error) {
       console.error('Failed to initialize level manager:', error);
@@ -28,6 +68,31 @@ class LevelManager {
     }
   }
 
+  /**
+   * Fetch the level bundle named by the index. Returns null (so levels are loaded
+   * from their own files) if there is none or it doesn't match the index.
+   */
+  async loadBundle(levelIndex) {
+    if (!levelIndex.bundle) return null;
+    
+    try {
+      const response = await fetch(`./levels/${levelIndex.bundle.file}`);
+      if (!response.ok) {
+        throw new Error(`Failed to load level bundle: ${response.status}`);
+      }
+      
+      const bundle = await response.json();
+      const problems = this.Bundle.verify(bundle, levelIndex);
+      if (problems.length > 0) {
+        throw new Error(`Level bundle does not match the index: ${problems[0]}`);
+      }
+      return bundle;
+    } catch (error) {
+      console.warn('Loading level files one by one instead of the bundle:', error);
+      return null;
+    }
+  }
+
   /**
    * Load a specific level by ID
    */
@@ -45,18 +110,26 @@ class LevelManager {
         return this.currentLevel;
       }
 
-      // Load level from file
-      const response = await fetch(`./levels/${levelInfo.file}`);
-      if (!response.ok) {
-        throw new Error(`Failed to load level file: ${response.status}`);
+      // Pack levels come with the pack; shipped levels are decoded from the bundle or loaded from their file
+      let levelData;
+      if (this.pack) {
+        levelData = this.pack.levels.find(level => level.levelId === levelId);
+      } else if (this.bundle) {
+        levelData = this.Bundle.decode(this.bundle, levelId);
+      } else {
+        const response = await fetch(`./levels/${levelInfo.file}`);
+        if (!response.ok) {
+          throw new Error(`Failed to load level file: ${response.status}`);
+        }
+        levelData = await response.json();
       }
       
-      const levelData = await response.json();
-      
       // Validate level data
       if (!this.validateLevel(levelData)) {
         throw new Error(`Invalid level data for level ${levelId}`);
       }
+      
+      levelData = this.normalizeLevel(levelData);
 
       // Cache and set as current level
       this.levelsCache.set(levelId, levelData);
@@ -78,11 +151,28 @@ class LevelManager {
     if (!levelData || typeof levelData !== 'object') return false;
     if (!levelData.levelId || !levelData.tubes || !Array.isArray(levelData.tubes)) return false;
     if (!levelData.colors || !Array.isArray(levelData.colors)) return false;
+    
+    // Rules mode - level files without one are liquid pouring puzzles
+    const puzzleType = levelData.puzzleType || this.engine.PUZZLE_TYPES.LIQUID_POURING;
+    if (!Object.values(this.engine.PUZZLE_TYPES).includes(puzzleType)) return false;
 
-    // Validate tubes
-    for (const tube of levelData.tubes) {
-      if (!tube.hasOwnProperty('id') || !Array.isArray(tube.balls)) return false;
+    // Solution steps must say whether they count tubes from 0 or 1
+    if (levelData.solutionSteps !== undefined) {
+      if (!Array.isArray(levelData.solutionSteps)) return false;
+      if (levelData.solutionSteps.length > 0 && ![0, 1].includes(levelData.solutionIndexBase)) return false;
+      
+      const base = levelData.solutionIndexBase || 0;
+      for (const step of levelData.solutionSteps) {
+        if (!Array.isArray(step) || step.length !== 2) return false;
+        if (step.some(tube => !Number.isInteger(tube) || tube < base || tube >= levelData.tubes.length + base)) return false;
+      }
+    }
+    
+    // Validate tubes - ids double as tube positions for the rules engine
+    for (const [index, tube] of levelData.tubes.entries()) {
+      if (tube.id !== index || !Array.isArray(tube.balls)) return false;
       if (typeof tube.capacity !== 'number' || tube.capacity < 1) return false;
+      if (tube.balls.length > tube.capacity) return false;
       
       // Validate balls are valid colors
       for (const ball of tube.balls) {
@@ -93,6 +183,41 @@ class LevelManager {
     return true;
   }
 
+  /**
+   * Convert a validated level to the form the game uses internally:
+   * solution steps become 0-based tube indices matching data-tube-id
+   */
+  normalizeLevel(levelData) {
+    const base = levelData.solutionIndexBase || 0;
+    const steps = levelData.solutionSteps || [];
+    
+    return {
+      ...levelData,
+      solutionIndexBase: 0,
+      solutionSteps: steps.map(([from, to]) => [from - base, to - base])
+    };
+  }
+
+  /**
+   * Stable identity of a level for saved progress: the source puzzle file for
+   * converted levels, otherwise a hash of the starting position
+   */
+  getLevelKey(levelData) {
+    return levelData.originalFile || `hash:${this.getContentHash(levelData)}`;
+  }
+
+  /**
+   * Hash of a level's rules and starting tubes (not its name, id or position)
+   */
+  getContentHash(levelData) {
+    const layout = JSON.stringify({
+      puzzleType: levelData.puzzleType || this.engine.PUZZLE_TYPES.LIQUID_POURING,
+      desiredLevel: levelData.desiredLevel,
+      tubes: levelData.tubes.map(tube => [tube.capacity, tube.balls])
+    });
+    return this.hashText(layout).toString(16).padStart(8, '0');
+  }
+
   /**
    * Get all levels info
    */
@@ -134,16 +259,19 @@ class LevelManager {
   }
 
   /**
-   * Mark level as completed
+   * Mark level as completed (`time` in ms). Returns false if the progress could not be saved.
    */
-  completeLevel(levelId, moves, stars) {
-    if (!this.levelIndex) return;
+  completeLevel(levelId, moves, stars, time = null) {
+    if (!this.levelIndex) return false;
     
     const levelInfo = this.levelIndex.levels.find(l => l.id === levelId);
     if (levelInfo) {
       levelInfo.completed = true;
       levelInfo.stars = Math.max(levelInfo.stars, stars);
       levelInfo.bestMoves = levelInfo.bestMoves ? Math.min(levelInfo.bestMoves, moves) : moves;
+      if (time !== null) {
+        levelInfo.bestTime = levelInfo.bestTime ? Math.min(levelInfo.bestTime, time) : time;
+      }
       
       // Unlock next level
       const nextLevel = this.getNextLevel(levelId);
@@ -152,56 +280,78 @@ class LevelManager {
       }
       
       // Save progress
-      this.saveProgress();
+      return this.saveProgress();
     }
+    return false;
   }
 
   /**
-   * Save progress to localStorage
+   * Progress of every level as { [levelKey]: { unlocked, completed, stars, bestMoves, bestTime } }
    */
-  saveProgress() {
-    if (!this.levelIndex) return;
-    
-    const progress = {
-      version: this.levelIndex.version,
-      levels: this.levelIndex.levels.map(level => ({
-        id: level.id,
+  getProgressRecords() {
+    const levels = {};
+    for (const level of this.levelIndex ? this.levelIndex.levels : []) {
+      levels[level.key] = {
         unlocked: level.unlocked,
         completed: level.completed,
         stars: level.stars,
-        bestMoves: level.bestMoves
-      }))
-    };
-    
-    localStorage.setItem('ballSortProgress', JSON.stringify(progress));
+        bestMoves: level.bestMoves,
+        bestTime: level.bestTime
+      };
+    }
+    return levels;
   }
 
   /**
-   * Load progress from localStorage
+   * Apply progress records to the index. Records follow their level by key, so
+   * levels that moved keep their stars and newly inserted levels start fresh.
    */
-  loadProgress() {
-    try {
-      const saved = localStorage.getItem('ballSortProgress');
-      if (!saved || !this.levelIndex) return;
-      
-      const progress = JSON.parse(saved);
-      if (progress.version !== this.levelIndex.version) return; // Version mismatch
-      
-      // Apply saved progress
-      for (const savedLevel of progress.levels) {
-        const levelInfo = this.levelIndex.levels.find(l => l.id === savedLevel.id);
-        if (levelInfo) {
-          levelInfo.unlocked = savedLevel.unlocked;
-          levelInfo.completed = savedLevel.completed;
-          levelInfo.stars = savedLevel.stars;
-          levelInfo.bestMoves = savedLevel.bestMoves;
-        }
+  applyProgressRecords(records) {
+    this.levelIndex.levels.forEach((levelInfo, index) => {
+      const saved = records[levelInfo.key];
+      if (saved) {
+        levelInfo.completed = Boolean(saved.completed);
+        levelInfo.stars = saved.stars || 0;
+        levelInfo.bestMoves = saved.bestMoves ?? null;
+        levelInfo.bestTime = saved.bestTime ?? null;
       }
       
-      console.log('Progress loaded from localStorage');
-    } catch (error) {
-      console.error('Failed to load progress:', error);
-    }
+      // A level is open if it was before, or if the one ahead of it is done
+      const previous = this.levelIndex.levels[index - 1];
+      levelInfo.unlocked = index === 0 ||
+        Boolean(saved && saved.unlocked) ||
+        Boolean(previous && previous.completed);
+    });
+  }
+
+  /**
+   * Save progress to localStorage. Returns false if it could not be written.
+   */
+  saveProgress() {
+    if (!this.levelIndex) return false;
+    return this.progressStore.save(this.getProgressRecords());
+  }
+
+  /**
+   * Load progress from localStorage
+   */
+  loadProgress() {
+    if (!this.levelIndex) return;
+    
+    const progress = this.progressStore.load(this.levelIndex);
+    this.applyProgressRecords(progress.levels);
+    
+    console.log('Progress loaded from localStorage');
+  }
+
+  /**
+   * Replace progress with imported records and save. Returns false if saving failed.
+   */
+  importProgress(records) {
+    if (!this.levelIndex) return false;
+    
+    this.applyProgressRecords(records);
+    return this.saveProgress();
   }
 
   /**
@@ -210,14 +360,15 @@ class LevelManager {
   resetProgress() {
     if (!this.levelIndex) return;
     
-    for (const level of this.levelIndex.levels) {
-      level.unlocked = level.id === 1; // Only first level unlocked
+    this.levelIndex.levels.forEach((level, index) => {
+      level.unlocked = index === 0; // Only first level unlocked
       level.completed = false;
       level.stars = 0;
       level.bestMoves = null;
-    }
+      level.bestTime = null;
+    });
     
-    localStorage.removeItem('ballSortProgress');
+    this.progressStore.clear();
     console.log('Progress reset');
   }
 
@@ -237,23 +388,27 @@ class LevelManager {
   }
 
   /**
-   * Create a copy of level data for gameplay (to avoid modifying original)
+   * Create a game state for a level - the tubes become an immutable PuzzleEngine state
    */
   createGameLevel(levelData = this.currentLevel) {
     if (!levelData) return null;
     
+    const { tubes, ...levelInfo } = levelData;
     return {
-      ...levelData,
-      tubes: levelData.tubes.map(tube => ({
-        ...tube,
-        balls: [...tube.balls] // Create copy of balls array
-      })),
+      ...levelInfo,
+      puzzle: this.engine.createState(levelData),
       moves: 0,
+      undos: 0,
+      hints: 0,
       startTime: Date.now(),
       completed: false
     };
   }
 }
 
-// Export for use in other files
-window.LevelManager = LevelManager;
+// Export for the page and Node tooling
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LevelManager };
+} else {
+  window.LevelManager = LevelManager;
+}
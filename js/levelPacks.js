@@ -0,0 +1,290 @@
+/**
+ * Ball Sort Puzzle - Level Packs
+ * Level packs imported from a file or a same-origin URL. A pack is one JSON
+ * bundle (metadata, an index and its levels); imported packs are validated
+ * and cached in IndexedDB so they can be played offline.
+ */
+
+class LevelPacks {
+  constructor(levelManager) {
+    this.levelManager = levelManager;
+    this.dbName = 'ballSortPacks';
+    this.storeName = 'packs';
+    this.activeKey = 'ballSortActivePack';
+    this.dbPromise = null;
+
+    // Used when IndexedDB is unavailable (e.g. some private browsing modes)
+    this.memoryPacks = null;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, LevelPacks.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      console.warn('Level packs falling back to memory - imported packs will not be kept:', error);
+      this.memoryPacks = new Map();
+      return null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the packs store and resolve with its result
+   */
+  async request(mode, makeRequest) {
+    const db = await this.open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Imported packs without their levels, as [{ id, name, author, description, version, levelCount, source, importedAt }]
+   */
+  async list() {
+    await this.open();
+    const packs = this.memoryPacks
+      ? [...this.memoryPacks.values()]
+      : (await this.request('readonly', store => store.getAll())) || [];
+
+    return packs
+      .map(({ index, levels, ...info }) => info)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A cached pack by id, or null
+   */
+  async get(id) {
+    await this.open();
+    if (this.memoryPacks) return this.memoryPacks.get(id) || null;
+
+    return (await this.request('readonly', store => store.get(id))) || null;
+  }
+
+  /**
+   * Cache a parsed pack, replacing any pack with the same id
+   */
+  async save(pack) {
+    await this.open();
+    if (this.memoryPacks) {
+      this.memoryPacks.set(pack.id, pack);
+      return;
+    }
+
+    await this.request('readwrite', store => store.put(pack));
+  }
+
+  /**
+   * Delete a cached pack. Its progress is kept in case it is imported again.
+   */
+  async remove(id) {
+    await this.open();
+    if (this.memoryPacks) {
+      this.memoryPacks.delete(id);
+      return;
+    }
+
+    await this.request('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * Import a pack from a File (e.g. from a file input). Resolves with the pack.
+   */
+  async importFile(file) {
+    let bundle;
+    try {
+      bundle = JSON.parse(await file.text());
+    } catch (error) {
+      throw new Error('This file is not a level pack');
+    }
+
+    const pack = this.parse(bundle, file.name);
+    await this.save(pack);
+    return pack;
+  }
+
+  /**
+   * Import a pack from a URL on this site. Resolves with the pack.
+   */
+  async importUrl(url) {
+    let target;
+    try {
+      target = new URL(url, location.href);
+    } catch (error) {
+      throw new Error('That is not a valid URL');
+    }
+    if (target.origin !== location.origin) {
+      throw new Error('Packs can only be loaded from this site');
+    }
+
+    const response = await fetch(target.href);
+    if (!response.ok) {
+      throw new Error(`Failed to download the pack: ${response.status}`);
+    }
+
+    let bundle;
+    try {
+      bundle = await response.json();
+    } catch (error) {
+      throw new Error('That URL is not a level pack');
+    }
+
+    const pack = this.parse(bundle, target.href);
+    await this.save(pack);
+    return pack;
+  }
+
+  /**
+   * Check a pack bundle and turn it into the cached form. Throws an error
+   * meant for the player if the bundle or any of its levels is invalid.
+   */
+  parse(bundle, source = null) {
+    if (!bundle || typeof bundle !== 'object' || bundle.packFormat === undefined) {
+      throw new Error('This is not a level pack');
+    }
+    if (bundle.packFormat > LevelPacks.FORMAT_VERSION) {
+      throw new Error('This pack was made for a newer version of the game');
+    }
+    if (typeof bundle.id !== 'string' || !LevelPacks.ID_PATTERN.test(bundle.id) || bundle.id === LevelPacks.BUILT_IN_ID) {
+      throw new Error('The pack id must be lowercase letters, digits, - or _');
+    }
+    if (typeof bundle.name !== 'string' || !bundle.name.trim()) {
+      throw new Error('The pack has no name');
+    }
+    if (!Array.isArray(bundle.levels) || bundle.levels.length === 0) {
+      throw new Error('The pack has no levels');
+    }
+    if (!bundle.index || !Array.isArray(bundle.index.levels)) {
+      throw new Error('The pack has no level index');
+    }
+
+    // Levels are looked up by levelId from the index
+    const levels = {};
+    bundle.levels.forEach((levelData, position) => {
+      if (!this.levelManager.validateLevel(levelData)) {
+        throw new Error(`Level ${position + 1} of the pack is invalid`);
+      }
+      if (levels[levelData.levelId]) {
+        throw new Error(`The pack has two levels with id ${levelData.levelId}`);
+      }
+      levels[levelData.levelId] = levelData;
+    });
+
+    const seen = new Set();
+    const indexLevels = bundle.index.levels.map(entry => {
+      const levelData = entry && levels[entry.id];
+      if (!levelData) {
+        throw new Error(`The pack index lists a missing level ${entry && entry.id}`);
+      }
+      if (seen.has(entry.id)) {
+        throw new Error(`The pack index lists level ${entry.id} twice`);
+      }
+      seen.add(entry.id);
+
+      return {
+        id: entry.id,
+        key: entry.key || this.levelManager.getLevelKey(levelData),
+        name: entry.name || levelData.name,
+        difficulty: entry.difficulty || levelData.difficulty,
+        unlocked: false,
+        completed: false,
+        stars: 0,
+        bestMoves: null,
+        bestTime: null
+      };
+    });
+
+    // Packs without difficulty groups get them from their levels
+    const difficulties = bundle.index.difficulties || {};
+    if (!bundle.index.difficulties) {
+      for (const level of indexLevels) {
+        const group = difficulties[level.difficulty] || (difficulties[level.difficulty] = { name: level.difficulty, levels: [] });
+        group.levels.push(level.id);
+      }
+    }
+
+    return {
+      id: bundle.id,
+      name: bundle.name.trim(),
+      author: bundle.author || null,
+      description: bundle.description || null,
+      version: bundle.version || null,
+      levelCount: indexLevels.length,
+      source,
+      importedAt: Date.now(),
+      index: {
+        version: bundle.version || null,
+        totalLevels: indexLevels.length,
+        levels: indexLevels,
+        difficulties
+      },
+      levels: indexLevels.map(level => levels[level.id])
+    };
+  }
+
+  /**
+   * Id of the pack being played (LevelPacks.BUILT_IN_ID for the shipped levels)
+   */
+  getActiveId() {
+    try {
+      return localStorage.getItem(this.activeKey) || LevelPacks.BUILT_IN_ID;
+    } catch (error) {
+      return LevelPacks.BUILT_IN_ID;
+    }
+  }
+
+  /**
+   * Remember which pack is being played
+   */
+  setActiveId(id) {
+    try {
+      if (id === LevelPacks.BUILT_IN_ID) {
+        localStorage.removeItem(this.activeKey);
+      } else {
+        localStorage.setItem(this.activeKey, id);
+      }
+    } catch (error) {
+      console.error('Failed to save the active pack:', error);
+    }
+  }
+}
+
+LevelPacks.DB_VERSION = 1;
+
+// Newest pack bundle format this version can read
+LevelPacks.FORMAT_VERSION = 1;
+
+// The levels shipped in levels/ - not stored in IndexedDB
+LevelPacks.BUILT_IN_ID = 'classic';
+LevelPacks.BUILT_IN_NAME = 'Classic';
+
+LevelPacks.ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+// Export for use in other files
+window.LevelPacks = LevelPacks;
@@ -0,0 +1,87 @@
+/**
+ * Ball Sort Puzzle - Move History
+ * Linear undo/redo timeline of pours, including how many units each one moved
+ */
+
+class MoveHistory {
+  constructor() {
+    this.entries = [];
+    this.position = 0;
+  }
+
+  /**
+   * Record a move at the current position, discarding any redo branch
+   */
+  record(move) {
+    this.entries.length = this.position;
+    this.entries.push({ from: move.from, to: move.to, amount: move.amount });
+    this.position = this.entries.length;
+  }
+
+  /**
+   * Step back one move and return it (or null at the start)
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+    this.position--;
+    return this.entries[this.position];
+  }
+
+  /**
+   * Step forward one move and return it (or null at the end)
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+    const entry = this.entries[this.position];
+    this.position++;
+    return entry;
+  }
+
+  canUndo() {
+    return this.position > 0;
+  }
+
+  canRedo() {
+    return this.position < this.entries.length;
+  }
+
+  /**
+   * Total number of recorded moves, including undone ones
+   */
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * Forget every recorded move
+   */
+  clear() {
+    this.entries = [];
+    this.position = 0;
+  }
+
+  /**
+   * Plain copy for saving
+   */
+  toJSON() {
+    return {
+      entries: this.entries.map(entry => ({ ...entry })),
+      position: this.position
+    };
+  }
+
+  /**
+   * Replace the history with a saved toJSON() copy
+   */
+  restore(saved) {
+    this.entries = saved.entries.map(entry => ({ from: entry.from, to: entry.to, amount: entry.amount }));
+    this.position = saved.position;
+  }
+}
+
+// Export for the page and Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MoveHistory };
+} else {
+  window.MoveHistory = MoveHistory;
+}
@@ -0,0 +1,202 @@
+/**
+ * Ball Sort Puzzle - Palettes
+ * The ball colors in one place: the color names levels use, how each one is
+ * drawn under every theme (including colorblind-safe ones) and the symbol
+ * that can be drawn on it. The board, the level editor and anything else that
+ * draws balls (such as an exported image) take their colors from here.
+ */
+
+class Palettes {
+  /**
+   * A theme by id, or the default theme for an unknown id
+   */
+  static getTheme(themeId) {
+    return Palettes.THEMES[themeId] || Palettes.THEMES[Palettes.DEFAULT_THEME];
+  }
+
+  /**
+   * Fill of a ball as [highlight, shade] hex colors, for drawing balls without
+   * the stylesheet (e.g. on a canvas). Unknown colors are drawn gray.
+   */
+  static getFill(color, themeId = Palettes.DEFAULT_THEME) {
+    const colors = Palettes.getTheme(themeId).colors;
+    return colors[color] || colors.gray;
+  }
+
+  /**
+   * Symbol drawn on a ball when symbols are on, or '' for an unknown color
+   */
+  static getSymbol(color) {
+    return Palettes.SYMBOLS[color] || '';
+  }
+
+  /**
+   * Black or white, whichever stands out more on a ball of this color
+   */
+  static getInk(color, themeId = Palettes.DEFAULT_THEME) {
+    const luminance = Palettes.getFill(color, themeId)
+      .map(hex => Palettes.getLuminance(hex))
+      .reduce((sum, value) => sum + value, 0) / 2;
+
+    return luminance > 0.35 ? '#000000' : '#FFFFFF';
+  }
+
+  /**
+   * Relative luminance of a #RRGGBB color (0 black - 1 white)
+   */
+  static getLuminance(hex) {
+    const [r, g, b] = [1, 3, 5].map(start => {
+      const channel = parseInt(hex.slice(start, start + 2), 16) / 255;
+      return channel <= 0.03928 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /**
+   * Stylesheet for a theme: each color class sets the custom properties `.ball` is drawn with
+   */
+  static toCss(themeId) {
+    const theme = Palettes.getTheme(themeId);
+    const rules = Object.keys(theme.colors).map(color => {
+      const [light, dark] = theme.colors[color];
+      // U+FE0E keeps symbols like ♥ from turning into emoji
+      const symbol = JSON.stringify(`${Palettes.getSymbol(color)}\uFE0E`);
+      return `.ball.${color} { --ball-light: ${light}; --ball-dark: ${dark}; ` +
+        `--ball-symbol: ${symbol}; --ball-ink: ${Palettes.getInk(color, themeId)}; }`;
+    });
+
+    if (theme.outline) {
+      rules.push(`.ball { outline: 2px solid ${theme.outline}; outline-offset: -2px; }`);
+    }
+    return rules.join('\n');
+  }
+
+  /**
+   * Draw every ball on the page with a theme, with or without symbols
+   */
+  static apply(themeId, showSymbols = false) {
+    let style = document.getElementById('paletteStyles');
+    if (!style) {
+      style = document.createElement('style');
+      style.id = 'paletteStyles';
+      document.head.appendChild(style);
+    }
+
+    style.textContent = Palettes.toCss(themeId);
+    document.body.classList.toggle('ball-symbols', showSymbols);
+  }
+}
+
+Palettes.DEFAULT_THEME = 'default';
+
+// Color names levels can use, in the order the converters hand them out
+Palettes.COLORS = Object.freeze([
+  'red', 'blue', 'green', 'yellow', 'purple', 'orange',
+  'pink', 'brown', 'gray', 'cyan', 'lime', 'indigo'
+]);
+
+// One distinct shape per color, so balls can be told apart without color
+Palettes.SYMBOLS = Object.freeze({
+  red: '♥', blue: '◆', green: '♣', yellow: '★', purple: '♠', orange: '▲',
+  pink: '●', brown: '■', gray: '✚', cyan: '▼', lime: '✿', indigo: '☾'
+});
+
+// Each color as [highlight, shade] of the ball's gradient
+Palettes.THEMES = Object.freeze({
+  default: {
+    label: 'Default',
+    colors: {
+      red: ['#E57373', '#C62828'],
+      blue: ['#64B5F6', '#1976D2'],
+      green: ['#81C784', '#2E7D32'],
+      yellow: ['#FFF176', '#F9A825'],
+      purple: ['#BA68C8', '#6A1B9A'],
+      orange: ['#FFB74D', '#EF6C00'],
+      pink: ['#F48FB1', '#C2185B'],
+      brown: ['#A1887F', '#4E342E'],
+      gray: ['#E0E0E0', '#616161'],
+      cyan: ['#80DEEA', '#00838F'],
+      lime: ['#DCE775', '#9E9D24'],
+      indigo: ['#7986CB', '#283593']
+    }
+  },
+  // Okabe-Ito based - red and green are told apart by lightness and blue
+  deuteranopia: {
+    label: 'Deuteranopia (red-green)',
+    colors: {
+      red: ['#F0A46B', '#D55E00'],
+      blue: ['#7CC4F0', '#0072B2'],
+      green: ['#5FD1B0', '#007A5A'],
+      yellow: ['#FFF59D', '#F0E442'],
+      purple: ['#E1A6CC', '#A6528A'],
+      orange: ['#FFD27A', '#E69F00'],
+      pink: ['#FFC4D8', '#F06292'],
+      brown: ['#BCAAA4', '#5D4037'],
+      gray: ['#FFFFFF', '#9E9E9E'],
+      cyan: ['#B2EBF2', '#26C6DA'],
+      lime: ['#F4F8C8', '#C0CA33'],
+      indigo: ['#9FA8DA', '#1A237E']
+    }
+  },
+  // IBM colorblind-safe based - reds move towards magenta so they don't go dark
+  protanopia: {
+    label: 'Protanopia (red-green)',
+    colors: {
+      red: ['#F08FBF', '#DC267F'],
+      blue: ['#A3BCFF', '#648FFF'],
+      green: ['#8FD6C8', '#1B9E77'],
+      yellow: ['#FFE08A', '#FFB000'],
+      purple: ['#B7A6F7', '#785EF0'],
+      orange: ['#FFA878', '#FE6100'],
+      pink: ['#FAD0E4', '#E68AB8'],
+      brown: ['#C7B299', '#6B4E2E'],
+      gray: ['#FFFFFF', '#8C8C8C'],
+      cyan: ['#A8E6F5', '#29A3C2'],
+      lime: ['#EAF2B8', '#A8B820'],
+      indigo: ['#8C9BD1', '#1F2A70']
+    }
+  },
+  // Paul Tol's muted scheme - avoids the blue-yellow axis
+  tritanopia: {
+    label: 'Tritanopia (blue-yellow)',
+    colors: {
+      red: ['#E6A3AE', '#CC6677'],
+      blue: ['#8877CC', '#332288'],
+      green: ['#6FBF85', '#117733'],
+      yellow: ['#F0E6B8', '#DDCC77'],
+      purple: ['#D68FCC', '#AA4499'],
+      orange: ['#FFB38A', '#E8601C'],
+      pink: ['#F7C6D9', '#EE99AA'],
+      brown: ['#C49A8A', '#663333'],
+      gray: ['#F2F2F2', '#999999'],
+      cyan: ['#CDEAF7', '#88CCEE'],
+      lime: ['#CFCF85', '#999933'],
+      indigo: ['#C76A9C', '#882255']
+    }
+  },
+  'high-contrast': {
+    label: 'High contrast',
+    outline: '#000000',
+    colors: {
+      red: ['#FF6B6B', '#D00000'],
+      blue: ['#4D7CFF', '#0033CC'],
+      green: ['#33E066', '#008A2E'],
+      yellow: ['#FFFF66', '#FFD600'],
+      purple: ['#C266FF', '#7A00CC'],
+      orange: ['#FFA64D', '#FF6A00'],
+      pink: ['#FF8AD8', '#FF1FA9'],
+      brown: ['#B07A4F', '#5C3317'],
+      gray: ['#FFFFFF', '#BDBDBD'],
+      cyan: ['#66FFFF', '#00B8D4'],
+      lime: ['#CCFF66', '#76D600'],
+      indigo: ['#6A5ACD', '#1A0080']
+    }
+  }
+});
+
+// Export for the page and Node tooling
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Palettes };
+} else {
+  window.Palettes = Palettes;
+}
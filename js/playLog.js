@@ -0,0 +1,194 @@
+/**
+ * Ball Sort Puzzle - Play Log
+ * Every attempt at a level (start/end, moves, undos, hints, result, stars)
+ * stored in IndexedDB, and the statistics computed from it
+ */
+
+class PlayLog {
+  constructor() {
+    this.dbName = 'ballSortStats';
+    this.storeName = 'attempts';
+    this.dbPromise = null;
+
+    // Used when IndexedDB is unavailable (e.g. some private browsing modes)
+    this.memoryLog = null;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, PlayLog.DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('levelKey', 'levelKey');
+          store.createIndex('endTime', 'endTime');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      console.warn('Play log falling back to memory - stats will not be kept:', error);
+      this.memoryLog = [];
+      return null;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the attempts store and resolve with its result
+   */
+  async request(mode, makeRequest) {
+    const db = await this.open();
+    if (!db) return null;
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Record a finished attempt. `duration` is the time actually spent playing
+   * (without hidden or paused time); without it the wall-clock span is used.
+   */
+  async addAttempt(attempt) {
+    const duration = Number.isFinite(attempt.duration) ? attempt.duration : attempt.endTime - attempt.startTime;
+    const record = { ...attempt, duration: Math.max(0, duration) };
+
+    await this.open();
+    if (this.memoryLog) {
+      this.memoryLog.push({ ...record, id: this.memoryLog.length + 1 });
+      return;
+    }
+
+    try {
+      await this.request('readwrite', store => store.add(record));
+    } catch (error) {
+      console.error('Failed to record attempt:', error);
+    }
+  }
+
+  /**
+   * Every recorded attempt, oldest first
+   */
+  async getAttempts() {
+    await this.open();
+    if (this.memoryLog) return [...this.memoryLog];
+
+    try {
+      return (await this.request('readonly', store => store.getAll())) || [];
+    } catch (error) {
+      console.error('Failed to read play log:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete the whole play log
+   */
+  async clear() {
+    await this.open();
+    if (this.memoryLog) {
+      this.memoryLog = [];
+      return;
+    }
+
+    await this.request('readwrite', store => store.clear());
+  }
+
+  /**
+   * Statistics for the Stats screen
+   */
+  summarize(attempts) {
+    const solved = attempts.filter(attempt => attempt.result === PlayLog.RESULTS.SOLVED);
+
+    // Best stars per level, so replays don't inflate the total
+    const bestStars = new Map();
+    const dailySolved = new Set();
+    for (const attempt of solved) {
+      if (attempt.mode === 'daily') {
+        dailySolved.add(attempt.levelKey);
+        continue;
+      }
+      if (attempt.mode === 'custom') continue;
+      bestStars.set(attempt.levelKey, Math.max(bestStars.get(attempt.levelKey) || 0, attempt.stars || 0));
+    }
+
+    // Moves over the optimum, averaged per difficulty
+    const overOptimal = {};
+    for (const attempt of solved) {
+      if (!attempt.minMoves) continue;
+      const entry = overOptimal[attempt.difficulty] || (overOptimal[attempt.difficulty] = { total: 0, count: 0 });
+      entry.total += attempt.moves - attempt.minMoves;
+      entry.count++;
+    }
+
+    // Levels with the most attempts
+    const attemptsByLevel = new Map();
+    for (const attempt of attempts) {
+      const entry = attemptsByLevel.get(attempt.levelKey) || { name: attempt.levelName, attempts: 0, solved: false };
+      entry.attempts++;
+      entry.solved = entry.solved || attempt.result === PlayLog.RESULTS.SOLVED;
+      attemptsByLevel.set(attempt.levelKey, entry);
+    }
+    const mostRetried = [...attemptsByLevel.values()]
+      .filter(entry => entry.attempts > 1)
+      .sort((a, b) => b.attempts - a.attempts)
+      .slice(0, 5);
+
+    // Solve times bucketed for the histogram
+    const histogram = PlayLog.SOLVE_TIME_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+    for (const attempt of solved) {
+      const index = PlayLog.SOLVE_TIME_BUCKETS.findIndex(bucket => attempt.duration < bucket.max);
+      histogram[index].count++;
+    }
+
+    return {
+      attempts: attempts.length,
+      totalPlayTime: attempts.reduce((sum, attempt) => sum + (attempt.duration || 0), 0),
+      levelsSolved: bestStars.size,
+      dailySolved: dailySolved.size,
+      starTotal: [...bestStars.values()].reduce((sum, stars) => sum + stars, 0),
+      averageOverOptimal: Object.fromEntries(Object.entries(overOptimal)
+        .map(([difficulty, { total, count }]) => [difficulty, { average: total / count, count }])),
+      mostRetried,
+      solveTimeHistogram: histogram
+    };
+  }
+}
+
+PlayLog.DB_VERSION = 1;
+
+PlayLog.RESULTS = Object.freeze({
+  SOLVED: 'solved',
+  RESTARTED: 'restarted',
+  ABANDONED: 'abandoned'
+});
+
+// Upper bounds (ms, exclusive) of the solve-time histogram buckets
+PlayLog.SOLVE_TIME_BUCKETS = Object.freeze([
+  { label: '< 30s', max: 30 * 1000 },
+  { label: '30s–1m', max: 60 * 1000 },
+  { label: '1–2m', max: 2 * 60 * 1000 },
+  { label: '2–5m', max: 5 * 60 * 1000 },
+  { label: '5–10m', max: 10 * 60 * 1000 },
+  { label: '10m+', max: Infinity }
+]);
+
+// Export for use in other files
+window.PlayLog = PlayLog;
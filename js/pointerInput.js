@@ -0,0 +1,287 @@
+/**
+ * Ball Sort Puzzle - Pointer Input
+ * One Pointer Events layer for mouse, touch and pen on the board: a tap picks
+ * a tube (as a click did), and dragging from a tube and releasing over another
+ * pours into it. While dragging, the tube under the pointer previews how many
+ * units would pour, and a drop that can't pour snaps back to its tube.
+ */
+
+class PointerInput {
+  /**
+   * Options:
+   * - `canDrag(index)` - whether a drag may start from a tube
+   * - `previewMove(from, to)` - { valid, amount } for pouring from one tube into another
+   * - `onTap(index, event)` - a tube was tapped or clicked
+   * - `onDragStart(index)` - a drag started from a tube
+   * - `onDrop(from, to)` - a drag was released over another tube (valid or not)
+   * - `onCancel()` - a drag ended without reaching another tube
+   * - `reducedMotion()` - whether to skip the snap back animation
+   */
+  constructor(container, { canDrag, previewMove, onTap, onDragStart, onDrop, onCancel, reducedMotion = () => false } = {}) {
+    this.container = container;
+    this.canDrag = canDrag;
+    this.previewMove = previewMove;
+    this.onTap = onTap;
+    this.onDragStart = onDragStart;
+    this.onDrop = onDrop;
+    this.onCancel = onCancel;
+    this.reducedMotion = reducedMotion;
+
+    // The pointer that is down on a tube: { pointerId, from, startX, startY, dragging }
+    this.press = null;
+    this.ghost = null;
+    this.previewTarget = null;
+    this.liftedBalls = [];
+
+    // A pointer press is followed by a click, which has already been handled as a tap.
+    // Clicks without a press (screen readers, switch access) still count. Drags and
+    // touches don't always send that click, so the flag also runs out.
+    this.ignoreNextClick = false;
+    this.ignoreClickTimer = null;
+
+    this.container.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.container.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.container.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.container.addEventListener('pointercancel', (e) => this.handlePointerCancel(e));
+    this.container.addEventListener('click', (e) => this.handleClick(e));
+  }
+
+  /**
+   * Index of the tube an element belongs to, or null
+   */
+  getTubeIndex(element) {
+    const tube = element?.closest?.('.tube');
+    return tube && this.container.contains(tube) ? Number(tube.dataset.tubeId) : null;
+  }
+
+  /**
+   * Index of the tube under a screen position, or null
+   */
+  getTubeIndexAt(x, y) {
+    return this.getTubeIndex(document.elementFromPoint?.(x, y));
+  }
+
+  /**
+   * Tube element by index
+   */
+  getTubeElement(index) {
+    return this.container.querySelector(`.tube[data-tube-id="${index}"]`);
+  }
+
+  /**
+   * Start tracking a press on a tube - it becomes a drag once it moves far enough
+   */
+  handlePointerDown(event) {
+    this.stopIgnoringClick();
+    if (!event.isPrimary || event.button !== 0 || this.press) return;
+
+    const from = this.getTubeIndex(event.target);
+    if (from === null) return;
+
+    this.press = { pointerId: event.pointerId, from, startX: event.clientX, startY: event.clientY, dragging: false };
+    this.container.setPointerCapture?.(event.pointerId);
+  }
+
+  /**
+   * Follow the pointer, starting the drag and updating the pour preview
+   */
+  handlePointerMove(event) {
+    const press = this.press;
+    if (!press || event.pointerId !== press.pointerId) return;
+
+    if (!press.dragging) {
+      const distance = Math.hypot(event.clientX - press.startX, event.clientY - press.startY);
+      if (distance < PointerInput.DRAG_THRESHOLD || !this.canDrag(press.from)) return;
+
+      press.dragging = true;
+      this.onDragStart(press.from);
+      this.createGhost(press.from);
+    }
+
+    event.preventDefault();
+    this.moveGhost(event.clientX, event.clientY);
+
+    const target = this.getTubeIndexAt(event.clientX, event.clientY);
+    this.showPreview(target === press.from ? null : target);
+  }
+
+  /**
+   * A press without a drag is a tap; a drag ends in a drop or snaps back
+   */
+  handlePointerUp(event) {
+    const press = this.press;
+    if (!press || event.pointerId !== press.pointerId) return;
+
+    this.press = null;
+    this.ignoreClick();
+    this.container.releasePointerCapture?.(event.pointerId);
+
+    if (!press.dragging) {
+      this.onTap(press.from, event);
+      return;
+    }
+
+    const target = this.getTubeIndexAt(event.clientX, event.clientY);
+    this.showPreview(null);
+
+    if (target === null || target === press.from) {
+      this.snapBack(press.from);
+      this.onCancel();
+      return;
+    }
+
+    if (this.previewMove(press.from, target).valid) {
+      this.removeGhost();
+    } else {
+      this.snapBack(press.from);
+    }
+    this.onDrop(press.from, target);
+  }
+
+  /**
+   * The browser took the pointer (e.g. for scrolling) - put everything back
+   */
+  handlePointerCancel(event) {
+    const press = this.press;
+    if (!press || event.pointerId !== press.pointerId) return;
+
+    this.press = null;
+    if (press.dragging) {
+      this.showPreview(null);
+      this.snapBack(press.from);
+      this.onCancel();
+    }
+  }
+
+  /**
+   * Clicks that didn't come from a pointer press (assistive technology) are taps
+   */
+  handleClick(event) {
+    if (this.ignoreNextClick) {
+      this.stopIgnoringClick();
+      return;
+    }
+
+    const index = this.getTubeIndex(event.target);
+    if (index !== null) {
+      this.onTap(index, event);
+    }
+  }
+
+  /**
+   * Skip the click that follows a pointer press, if it comes soon
+   */
+  ignoreClick() {
+    this.stopIgnoringClick();
+    this.ignoreNextClick = true;
+    this.ignoreClickTimer = setTimeout(() => this.stopIgnoringClick(), PointerInput.CLICK_WINDOW);
+  }
+
+  /**
+   * Count clicks as taps again
+   */
+  stopIgnoringClick() {
+    clearTimeout(this.ignoreClickTimer);
+    this.ignoreClickTimer = null;
+    this.ignoreNextClick = false;
+  }
+
+  /**
+   * Mark the tube under the pointer with how much would pour into it, or clear the preview with null
+   */
+  showPreview(target) {
+    if (target === this.previewTarget) return;
+
+    const previous = this.previewTarget === null ? null : this.getTubeElement(this.previewTarget);
+    if (previous) {
+      previous.classList.remove('drop-target', 'drop-invalid');
+      delete previous.dataset.pour;
+    }
+    this.liftedBalls.forEach(ball => ball.classList.remove('pouring'));
+    this.liftedBalls = [];
+    this.previewTarget = target;
+
+    const element = target === null ? null : this.getTubeElement(target);
+    if (!element || !this.press) return;
+
+    const { valid, amount } = this.previewMove(this.press.from, target);
+    element.classList.add(valid ? 'drop-target' : 'drop-invalid');
+    element.dataset.pour = valid ? `+${amount}` : '✖';
+
+    // Lift the balls that would pour
+    if (valid) {
+      this.liftedBalls = Array.from(this.getTubeElement(this.press.from).querySelectorAll('.ball')).slice(-amount);
+      this.liftedBalls.forEach(ball => ball.classList.add('pouring'));
+    }
+  }
+
+  /**
+   * Copy of the source tube's top ball that follows the pointer
+   */
+  createGhost(from) {
+    const balls = this.getTubeElement(from)?.querySelectorAll('.ball') || [];
+    const top = balls[balls.length - 1];
+    if (!top) return;
+
+    this.ghost = top.cloneNode(false);
+    this.ghost.classList.add('drag-ghost');
+    this.ghost.setAttribute('aria-hidden', 'true');
+    document.body.appendChild(this.ghost);
+  }
+
+  /**
+   * Center the ghost on the pointer
+   */
+  moveGhost(x, y) {
+    if (!this.ghost) return;
+
+    this.ghost.style.left = `${x - this.ghost.offsetWidth / 2}px`;
+    this.ghost.style.top = `${y - this.ghost.offsetHeight / 2}px`;
+  }
+
+  /**
+   * Animate the ghost back to the top of its tube, then remove it
+   */
+  snapBack(from) {
+    const ghost = this.ghost;
+    const tube = this.getTubeElement(from);
+    this.ghost = null;
+    if (!ghost) return;
+
+    if (this.reducedMotion() || !tube || typeof ghost.animate !== 'function') {
+      ghost.remove();
+      return;
+    }
+
+    const ghostRect = ghost.getBoundingClientRect();
+    const tubeRect = tube.getBoundingClientRect();
+    const dx = tubeRect.left + (tubeRect.width - ghostRect.width) / 2 - ghostRect.left;
+    const dy = tubeRect.top - ghostRect.height - ghostRect.top;
+
+    ghost.animate([
+      { transform: 'translate(0px, 0px)' },
+      { transform: `translate(${dx}px, ${dy}px)` }
+    ], { duration: PointerInput.SNAP_BACK_DURATION, easing: 'ease-out' })
+      .finished
+      .catch(() => {})
+      .then(() => ghost.remove());
+  }
+
+  /**
+   * Drop the ghost without animating (the move animation takes over)
+   */
+  removeGhost() {
+    this.ghost?.remove();
+    this.ghost = null;
+  }
+}
+
+// Pixels the pointer must travel before a press becomes a drag
+PointerInput.DRAG_THRESHOLD = 8;
+PointerInput.SNAP_BACK_DURATION = 200;
+
+// Milliseconds after a pointer press in which its click is expected
+PointerInput.CLICK_WINDOW = 300;
+
+// Export for use in other files
+window.PointerInput = PointerInput;
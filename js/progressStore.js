@@ -0,0 +1,165 @@
+/**
+ * Ball Sort Puzzle - Progress Store
+ * Versioned level progress in localStorage, keyed by stable level identity
+ * (see LevelManager.getLevelKey) so re-ordering or inserting levels keeps stars.
+ * Older saves are upgraded by MIGRATIONS instead of being thrown away.
+ */
+
+class ProgressStore {
+  /**
+   * `packId` keeps an imported level pack's progress apart from the shipped levels'
+   */
+  constructor(storage = typeof localStorage !== 'undefined' ? localStorage : null, packId = null) {
+    this.storage = storage;
+    this.storageKey = packId ? `ballSortProgress.pack.${packId}` : 'ballSortProgress';
+
+    // Set when the save was written by a newer version - we must not overwrite it
+    this.readOnly = false;
+  }
+
+  /**
+   * Load progress as { levels: { [levelKey]: record } }, migrating older saves.
+   * `levelIndex` lets migrations map old position-based ids to level keys.
+   */
+  load(levelIndex) {
+    this.readOnly = false;
+    const empty = { schemaVersion: ProgressStore.SCHEMA_VERSION, levels: {} };
+    if (!this.storage) return empty;
+
+    let raw;
+    try {
+      raw = this.storage.getItem(this.storageKey);
+    } catch (error) {
+      console.error('Failed to read progress:', error);
+      return empty;
+    }
+    if (!raw) return empty;
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+      if (!data || typeof data !== 'object') throw new Error('Progress is not an object');
+    } catch (error) {
+      // Keep the unreadable copy so it can still be recovered by hand
+      console.error('Saved progress is corrupted - starting fresh:', error);
+      this.backupCorrupt(raw);
+      return empty;
+    }
+
+    // Saves from before schema versioning are schema 1
+    const savedVersion = data.schemaVersion || 1;
+    let schemaVersion = savedVersion;
+    if (schemaVersion > ProgressStore.SCHEMA_VERSION) {
+      console.warn(`Progress schema ${schemaVersion} is newer than this app understands - not saving over it`);
+      this.readOnly = true;
+      return empty;
+    }
+
+    while (schemaVersion < ProgressStore.SCHEMA_VERSION) {
+      const migrate = ProgressStore.MIGRATIONS[schemaVersion];
+      try {
+        data = migrate(data, { levelIndex });
+      } catch (error) {
+        console.error(`Failed to migrate progress from schema ${schemaVersion}:`, error);
+        this.backupCorrupt(raw);
+        return empty;
+      }
+      schemaVersion++;
+      console.log(`Progress migrated to schema ${schemaVersion}`);
+    }
+
+    // Write the upgraded copy back so each migration only runs once
+    if (schemaVersion !== savedVersion) {
+      this.save(data.levels || {});
+    }
+
+    return { schemaVersion, levels: data.levels || {} };
+  }
+
+  /**
+   * Save progress. Returns false if it could not be written (e.g. storage is full).
+   */
+  save(levels) {
+    if (!this.storage || this.readOnly) return false;
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify({
+        schemaVersion: ProgressStore.SCHEMA_VERSION,
+        levels
+      }));
+      return true;
+    } catch (error) {
+      if (ProgressStore.isQuotaError(error)) {
+        console.error('Not enough storage space to save progress:', error);
+      } else {
+        console.error('Failed to save progress:', error);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Remove all saved progress
+   */
+  clear() {
+    this.readOnly = false;
+    try {
+      this.storage?.removeItem(this.storageKey);
+    } catch (error) {
+      console.error('Failed to clear progress:', error);
+    }
+  }
+
+  /**
+   * Keep an unreadable save next to the real one instead of losing it
+   */
+  backupCorrupt(raw) {
+    try {
+      this.storage.setItem(`${this.storageKey}.corrupt`, raw);
+    } catch (error) {
+      console.error('Failed to back up corrupted progress:', error);
+    }
+  }
+
+  /**
+   * Whether an error from localStorage.setItem means storage is full
+   */
+  static isQuotaError(error) {
+    return error && (
+      error.name === 'QuotaExceededError' ||
+      error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+      error.code === 22 ||
+      error.code === 1014
+    );
+  }
+}
+
+ProgressStore.SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a schema n save to schema n + 1
+ProgressStore.MIGRATIONS = Object.freeze({
+  // Schema 1: { version: <index version>, levels: [{ id, unlocked, completed, stars, bestMoves }] }
+  // keyed by position-based level id. Schema 2 keys records by level key.
+  1: (data, { levelIndex }) => {
+    const levels = {};
+    for (const saved of data.levels || []) {
+      const levelInfo = levelIndex && levelIndex.levels.find(level => level.id === saved.id);
+      if (!levelInfo || !levelInfo.key) continue;
+
+      levels[levelInfo.key] = {
+        unlocked: Boolean(saved.unlocked),
+        completed: Boolean(saved.completed),
+        stars: saved.stars || 0,
+        bestMoves: saved.bestMoves ?? null
+      };
+    }
+    return { schemaVersion: 2, levels };
+  }
+});
+
+// Export for the page and Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProgressStore };
+} else {
+  window.ProgressStore = ProgressStore;
+}
@@ -0,0 +1,302 @@
+/**
+ * Ball Sort Puzzle - Progress Transfer
+ * Moves level progress between devices as a JSON file or a short checksummed
+ * code, and merges imports into existing progress. Everything runs offline.
+ */
+
+class ProgressTransfer {
+  constructor() {
+    // Shared modules are globals in the page; Node tooling loads them as modules
+    this.Store = typeof ProgressStore !== 'undefined'
+      ? ProgressStore
+      : require('./progressStore.js').ProgressStore;
+    this.hashText = (typeof SeededRandom !== 'undefined'
+      ? SeededRandom
+      : require('./seededRandom.js').SeededRandom).hashSeed;
+  }
+
+  /**
+   * Export document for a set of progress records ({ [levelKey]: record })
+   */
+  createExport(records) {
+    return {
+      format: ProgressTransfer.FORMAT,
+      schemaVersion: this.Store.SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
+      levels: records
+    };
+  }
+
+  /**
+   * Pretty-printed JSON for the export file
+   */
+  toFile(records) {
+    return JSON.stringify(this.createExport(records), null, 2);
+  }
+
+  /**
+   * Offer the export file as a download
+   */
+  download(records, filename = 'ball-sort-progress.json') {
+    const blob = new Blob([this.toFile(records)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Compact code: PREFIX.<payload>.<checksum>. The payload is the schema version
+   * then one entry per level with progress, separated by `_`. Each entry is
+   * `id-stars-completed-bestMoves-bestTime`: the level's short id (see getShortId)
+   * and base 36 numbers, empty for none.
+   */
+  toCode(records) {
+    const number = value => Number.isInteger(value) ? value.toString(36) : '';
+    const levels = Object.entries(records)
+      .filter(([, record]) => record.completed || record.stars > 0)
+      .map(([key, record]) => [
+        this.getShortId(key),
+        record.stars || 0,
+        record.completed ? 1 : 0,
+        number(record.bestMoves),
+        number(record.bestTime)
+      ].join('-'));
+
+    const payload = [this.Store.SCHEMA_VERSION, ...levels].join('_');
+    return `${ProgressTransfer.CODE_PREFIX}.${payload}.${this.checksum(payload)}`;
+  }
+
+  /**
+   * Short id standing in for a level key in progress codes
+   */
+  getShortId(key) {
+    return this.hashText(key).toString(36);
+  }
+
+  /**
+   * Read an export file or code. Returns { [levelKey]: record }; throws with a
+   * message meant for the player if the input can't be used. Codes name levels
+   * by short id, so `levelKeys` lists the levels they can refer to.
+   */
+  parse(text, levelKeys = []) {
+    const input = String(text || '').trim();
+    if (!input) {
+      throw new Error('Nothing to import');
+    }
+
+    return input.startsWith('{') ? this.parseFile(input) : this.parseCode(input, levelKeys);
+  }
+
+  /**
+   * Read an export file
+   */
+  parseFile(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('This file is not valid JSON');
+    }
+
+    if (!data || data.format !== ProgressTransfer.FORMAT || !data.levels || typeof data.levels !== 'object') {
+      throw new Error('This is not a Ball Sort progress file');
+    }
+    if (data.schemaVersion > this.Store.SCHEMA_VERSION) {
+      throw new Error('This file comes from a newer version of the game');
+    }
+
+    const records = {};
+    for (const [key, record] of Object.entries(data.levels)) {
+      records[key] = this.cleanRecord(record);
+    }
+    return records;
+  }
+
+  /**
+   * Read a progress code, checking its checksum first
+   */
+  parseCode(code, levelKeys = []) {
+    const parts = code.replace(/\s+/g, '').split('.');
+    const prefixes = [ProgressTransfer.CODE_PREFIX, ProgressTransfer.LEGACY_CODE_PREFIX];
+    if (parts.length !== 3 || !prefixes.includes(parts[0])) {
+      throw new Error('This is not a Ball Sort progress code');
+    }
+
+    const [prefix, payload, checksum] = parts;
+    if (this.checksum(payload) !== checksum) {
+      throw new Error('This code is damaged or incomplete - check it was copied in full');
+    }
+
+    return prefix === ProgressTransfer.LEGACY_CODE_PREFIX
+      ? this.parseLegacyPayload(payload)
+      : this.parsePayload(payload, levelKeys);
+  }
+
+  /**
+   * Read a code payload written by toCode(). Levels that aren't in `levelKeys`
+   * keep a `#<id>` key, so they count as unknown levels and are never applied.
+   */
+  parsePayload(payload, levelKeys) {
+    const [version, ...entries] = payload.split('_');
+    if (!/^\d+$/.test(version)) {
+      throw new Error('This is not a Ball Sort progress code');
+    }
+    if (Number(version) > this.Store.SCHEMA_VERSION) {
+      throw new Error('This code comes from a newer version of the game');
+    }
+
+    const keysById = new Map(levelKeys.map(key => [this.getShortId(key), key]));
+    const number = text => /^[0-9a-z]+$/.test(text) ? parseInt(text, 36) : null;
+
+    const records = {};
+    for (const entry of entries) {
+      const [id, stars, completed, bestMoves, bestTime] = entry.split('-');
+      if (!id) {
+        throw new Error('This code is damaged or incomplete - check it was copied in full');
+      }
+
+      records[keysById.get(id) || `#${id}`] = this.cleanRecord({
+        stars: number(stars),
+        completed: completed === '1',
+        unlocked: true,
+        bestMoves: number(bestMoves),
+        bestTime: number(bestTime)
+      });
+    }
+    return records;
+  }
+
+  /**
+   * Read a code payload from before levels had short ids: base64url JSON with full level keys
+   */
+  parseLegacyPayload(payload) {
+    let data;
+    try {
+      data = JSON.parse(this.decodeBase64(payload));
+    } catch (error) {
+      throw new Error('This code is damaged or incomplete - check it was copied in full');
+    }
+
+    if (!data || !Array.isArray(data.l)) {
+      throw new Error('This is not a Ball Sort progress code');
+    }
+    if (data.v > this.Store.SCHEMA_VERSION) {
+      throw new Error('This code comes from a newer version of the game');
+    }
+
+    const records = {};
+    for (const [key, stars, bestMoves, completed, bestTime] of data.l) {
+      records[key] = this.cleanRecord({ stars, bestMoves, completed: completed === 1, unlocked: true, bestTime });
+    }
+    return records;
+  }
+
+  /**
+   * Coerce an imported record into a safe shape
+   */
+  cleanRecord(record) {
+    const stars = Number.isInteger(record && record.stars) ? Math.min(Math.max(record.stars, 0), 3) : 0;
+    const bestMoves = Number.isInteger(record && record.bestMoves) && record.bestMoves > 0 ? record.bestMoves : null;
+    const bestTime = Number.isInteger(record && record.bestTime) && record.bestTime > 0 ? record.bestTime : null;
+
+    return {
+      unlocked: Boolean(record && record.unlocked),
+      completed: Boolean(record && record.completed),
+      stars,
+      bestMoves,
+      bestTime
+    };
+  }
+
+  /**
+   * Merge imported records into existing ones, keeping the best of each
+   */
+  merge(current, imported) {
+    const merged = { ...current };
+
+    for (const [key, record] of Object.entries(imported)) {
+      const existing = current[key];
+      if (!existing) {
+        merged[key] = { ...record };
+        continue;
+      }
+
+      const best = (a, b) => {
+        const values = [a, b].filter(value => value !== null && value !== undefined);
+        return values.length > 0 ? Math.min(...values) : null;
+      };
+      merged[key] = {
+        unlocked: existing.unlocked || record.unlocked,
+        completed: existing.completed || record.completed,
+        stars: Math.max(existing.stars || 0, record.stars || 0),
+        bestMoves: best(existing.bestMoves, record.bestMoves),
+        bestTime: best(existing.bestTime, record.bestTime)
+      };
+    }
+
+    return merged;
+  }
+
+  /**
+   * What an import would change, for levels in `levels` (index entries with a key):
+   * { changes: [{ level, before, after }], unknown: <imported keys not in this game> }
+   */
+  preview(levels, current, imported) {
+    const merged = this.merge(current, imported);
+    const knownKeys = new Set(levels.map(level => level.key));
+
+    const changes = levels
+      .filter(level => imported[level.key])
+      .map(level => ({
+        level,
+        before: current[level.key] || { completed: false, stars: 0, bestMoves: null, bestTime: null },
+        after: merged[level.key]
+      }))
+      .filter(({ before, after }) =>
+        before.completed !== after.completed ||
+        before.stars !== after.stars ||
+        before.bestMoves !== after.bestMoves ||
+        (before.bestTime ?? null) !== (after.bestTime ?? null));
+
+    return {
+      changes,
+      merged,
+      unknown: Object.keys(imported).filter(key => !knownKeys.has(key)).length
+    };
+  }
+
+  /**
+   * FNV-1a checksum of a string as 8 hex digits
+   */
+  checksum(text) {
+    return this.hashText(text).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * URL-safe base64 back to UTF-8 text
+   */
+  decodeBase64(payload) {
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+  }
+}
+
+ProgressTransfer.FORMAT = 'ball-sort-progress';
+ProgressTransfer.CODE_PREFIX = 'BSP2';
+
+// Codes with full level keys, still accepted on import
+ProgressTransfer.LEGACY_CODE_PREFIX = 'BSP1';
+
+// Export for the page and Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProgressTransfer };
+} else {
+  window.ProgressTransfer = ProgressTransfer;
+}
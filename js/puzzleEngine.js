@@ -0,0 +1,238 @@
+/**
+ * Ball Sort Puzzle - Rules Engine
+ * Pure, DOM-free puzzle rules over immutable states.
+ * Shared by the game UI, the solver and the Node level tooling.
+ *
+ * Two rule sets are supported, selected by the level's `puzzleType`:
+ * - liquid_pouring: colors don't matter, a pour moves as many units as fit,
+ *   and the puzzle is won when every tube holds `desiredLevel` units
+ * - color_sort: only the top run of one color moves, onto a matching color or
+ *   an empty tube, and the puzzle is won when every tube is empty or holds a
+ *   single color filled to capacity
+ */
+
+class PuzzleEngine {
+  /**
+   * Build an immutable puzzle state from level data (or a plain state object).
+   * Tubes are addressed by their index in `tubes`, which matches their `id`.
+   */
+  static createState(levelData) {
+    if (!levelData || !Array.isArray(levelData.tubes)) {
+      throw new Error('Puzzle state needs a tubes array');
+    }
+
+    const puzzleType = levelData.puzzleType || PuzzleEngine.PUZZLE_TYPES.LIQUID_POURING;
+    if (!Object.values(PuzzleEngine.PUZZLE_TYPES).includes(puzzleType)) {
+      throw new Error(`Unknown puzzle type: ${puzzleType}`);
+    }
+
+    return Object.freeze({
+      puzzleType,
+      desiredLevel: levelData.desiredLevel || 2,
+      tubes: Object.freeze(levelData.tubes.map((tube, index) => PuzzleEngine.createTube(
+        tube.hasOwnProperty('id') ? tube.id : index,
+        tube.capacity,
+        tube.balls
+      )))
+    });
+  }
+
+  /**
+   * Build a single frozen tube
+   */
+  static createTube(id, capacity, balls) {
+    return Object.freeze({ id, capacity, balls: Object.freeze([...balls]) });
+  }
+
+  /**
+   * Check whether pouring from one tube into another is legal.
+   * Returns { valid, amount } or { valid: false, code, reason }.
+   */
+  static checkMove(state, fromIndex, toIndex) {
+    const fromTube = state.tubes[fromIndex];
+    const toTube = state.tubes[toIndex];
+
+    if (!fromTube || !toTube) {
+      return { valid: false, code: 'UNKNOWN_TUBE', reason: 'No such tube' };
+    }
+
+    // Can't move from empty tube
+    if (fromTube.balls.length === 0) {
+      return { valid: false, code: 'EMPTY_SOURCE', reason: 'No balls to move' };
+    }
+
+    // Can't move to same tube
+    if (fromIndex === toIndex) {
+      return { valid: false, code: 'SAME_TUBE', reason: 'Cannot move to same tube' };
+    }
+
+    // Check if destination has any space
+    const availableSpace = toTube.capacity - toTube.balls.length;
+    if (availableSpace <= 0) {
+      return { valid: false, code: 'DESTINATION_FULL', reason: 'Destination tube is full' };
+    }
+
+    if (state.puzzleType === PuzzleEngine.PUZZLE_TYPES.COLOR_SORT) {
+      const topColor = fromTube.balls[fromTube.balls.length - 1];
+      const targetColor = toTube.balls[toTube.balls.length - 1];
+
+      if (targetColor !== undefined && targetColor !== topColor) {
+        return { valid: false, code: 'COLOR_MISMATCH', reason: 'Colors must match' };
+      }
+
+      // Only the top run of same-colored balls moves, as far as it fits
+      return { valid: true, amount: Math.min(PuzzleEngine.getTopRunLength(fromTube), availableSpace) };
+    }
+
+    // Liquid pouring moves as much as fits, even if not everything does
+    return { valid: true, amount: Math.min(fromTube.balls.length, availableSpace) };
+  }
+
+  /**
+   * Number of same-colored balls at the top of a tube
+   */
+  static getTopRunLength(tube) {
+    const balls = tube.balls;
+    let run = 0;
+    while (run < balls.length && balls[balls.length - 1 - run] === balls[balls.length - 1]) {
+      run++;
+    }
+    return run;
+  }
+
+  /**
+   * Apply a legal move and return { state, amount } with a new state.
+   * Throws if the move is illegal.
+   */
+  static applyMove(state, fromIndex, toIndex) {
+    const check = PuzzleEngine.checkMove(state, fromIndex, toIndex);
+    if (!check.valid) {
+      throw new Error(`Illegal move ${fromIndex} -> ${toIndex}: ${check.reason}`);
+    }
+
+    return {
+      state: PuzzleEngine.transfer(state, fromIndex, toIndex, check.amount),
+      amount: check.amount
+    };
+  }
+
+  /**
+   * Move units from the top of one tube onto another without checking the rules.
+   * Used to replay and rewind recorded moves; untouched tubes are shared.
+   */
+  static transfer(state, fromIndex, toIndex, amount) {
+    const fromTube = state.tubes[fromIndex];
+    const toTube = state.tubes[toIndex];
+    const moving = fromTube.balls.slice(fromTube.balls.length - amount).reverse();
+
+    const tubes = state.tubes.slice();
+    tubes[fromIndex] = PuzzleEngine.createTube(fromTube.id, fromTube.capacity, fromTube.balls.slice(0, fromTube.balls.length - amount));
+    tubes[toIndex] = PuzzleEngine.createTube(toTube.id, toTube.capacity, [...toTube.balls, ...moving]);
+
+    return Object.freeze({ ...state, tubes: Object.freeze(tubes) });
+  }
+
+  /**
+   * List every legal move from a state as { from, to, amount }
+   */
+  static getLegalMoves(state) {
+    const moves = [];
+    for (let from = 0; from < state.tubes.length; from++) {
+      for (let to = 0; to < state.tubes.length; to++) {
+        const check = PuzzleEngine.checkMove(state, from, to);
+        if (check.valid) {
+          moves.push({ from, to, amount: check.amount });
+        }
+      }
+    }
+    return moves;
+  }
+
+  /**
+   * Win condition for the state's puzzle type
+   */
+  static isSolved(state) {
+    if (state.puzzleType === PuzzleEngine.PUZZLE_TYPES.COLOR_SORT) {
+      return state.tubes.every(tube =>
+        tube.balls.length === 0 ||
+        (tube.balls.length === tube.capacity && tube.balls.every(ball => ball === tube.balls[0]))
+      );
+    }
+
+    // Liquid pouring - each tube holds exactly desiredLevel units
+    return state.tubes.every(tube => tube.balls.length === state.desiredLevel);
+  }
+
+  /**
+   * Replay a list of [from, to] steps (0-based) and report where it ends up.
+   * Returns { valid, state, movesApplied, solved } and the failing step if any.
+   */
+  static replay(state, steps) {
+    let current = state;
+    for (let i = 0; i < steps.length; i++) {
+      const [from, to] = steps[i];
+      const check = PuzzleEngine.checkMove(current, from, to);
+      if (!check.valid) {
+        return { valid: false, state: current, movesApplied: i, solved: false, failedStep: i, reason: check.reason };
+      }
+      current = PuzzleEngine.transfer(current, from, to, check.amount);
+    }
+    return { valid: true, state: current, movesApplied: steps.length, solved: PuzzleEngine.isSolved(current) };
+  }
+
+  /**
+   * Compact key identifying positions that play identically.
+   * In liquid pouring only the amount in each tube matters.
+   */
+  static getStateKey(state) {
+    if (state.puzzleType === PuzzleEngine.PUZZLE_TYPES.COLOR_SORT) {
+      return state.tubes.map(tube => tube.balls.join('.')).join('|');
+    }
+    return state.tubes.map(tube => tube.balls.length).join(',');
+  }
+
+  /**
+   * Serialize a state to a JSON string
+   */
+  static serialize(state) {
+    return JSON.stringify({
+      version: PuzzleEngine.SERIALIZATION_VERSION,
+      puzzleType: state.puzzleType,
+      desiredLevel: state.desiredLevel,
+      tubes: state.tubes.map(tube => ({ id: tube.id, capacity: tube.capacity, balls: [...tube.balls] }))
+    });
+  }
+
+  /**
+   * Restore a state from serialize() output
+   */
+  static deserialize(json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!data || data.version !== PuzzleEngine.SERIALIZATION_VERSION) {
+      throw new Error(`Unsupported puzzle state version: ${data && data.version}`);
+    }
+
+    for (const tube of data.tubes || []) {
+      if (typeof tube.capacity !== 'number' || !Array.isArray(tube.balls) || tube.balls.length > tube.capacity) {
+        throw new Error(`Invalid tube in serialized state: ${JSON.stringify(tube)}`);
+      }
+    }
+
+    return PuzzleEngine.createState(data);
+  }
+}
+
+PuzzleEngine.PUZZLE_TYPES = Object.freeze({
+  LIQUID_POURING: 'liquid_pouring',
+  COLOR_SORT: 'color_sort'
+});
+
+// Bumped whenever the serialize() format changes
+PuzzleEngine.SERIALIZATION_VERSION = 1;
+
+// Export for the page, the solver worker and Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PuzzleEngine };
+} else {
+  self.PuzzleEngine = PuzzleEngine;
+}
@@ -0,0 +1,81 @@
+/**
+ * Ball Sort Puzzle - Release Notes
+ * Reads releases.json (the app version and notes for each release) and works
+ * out which releases are new since the version the player last ran
+ */
+
+class ReleaseNotes {
+  constructor(url = './releases.json') {
+    this.url = url;
+    this.storageKey = 'ballSortAppVersion';
+  }
+
+  /**
+   * Fetch the release manifest: { version, releases: [{ version, date, notes: [...] }] }
+   */
+  async load() {
+    const response = await fetch(this.url);
+    if (!response.ok) {
+      throw new Error(`Failed to load release notes: ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * Releases newer than the version last run, newest first, and remember the
+   * current version as seen. The first run has nothing new to show.
+   */
+  async checkForNew() {
+    const manifest = await this.load();
+    const lastSeen = this.getLastSeen();
+    this.setLastSeen(manifest.version);
+
+    if (!lastSeen || ReleaseNotes.compareVersions(manifest.version, lastSeen) <= 0) {
+      return [];
+    }
+
+    return manifest.releases
+      .filter(release => ReleaseNotes.compareVersions(release.version, lastSeen) > 0 &&
+        ReleaseNotes.compareVersions(release.version, manifest.version) <= 0)
+      .sort((a, b) => ReleaseNotes.compareVersions(b.version, a.version));
+  }
+
+  /**
+   * Version the player last ran, or null
+   */
+  getLastSeen() {
+    try {
+      return localStorage.getItem(this.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Remember the version the player is running
+   */
+  setLastSeen(version) {
+    try {
+      localStorage.setItem(this.storageKey, version);
+    } catch (error) {
+      console.error('Failed to save the app version:', error);
+    }
+  }
+
+  /**
+   * Compare dotted version numbers: negative if a is older, positive if newer, 0 if equal
+   */
+  static compareVersions(a, b) {
+    const partsA = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const partsB = String(b).split('.').map(part => parseInt(part, 10) || 0);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const difference = (partsA[i] || 0) - (partsB[i] || 0);
+      if (difference !== 0) return difference;
+    }
+    return 0;
+  }
+}
+
+// Export for use in other files
+window.ReleaseNotes = ReleaseNotes;
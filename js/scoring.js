@@ -0,0 +1,131 @@
+/**
+ * Ball Sort Puzzle - Scoring
+ * Star thresholds and star awards from named profiles. Thresholds come from a
+ * level's minMoves under the player's profile, unless the level's `starsOverride`
+ * pins them under every profile.
+ */
+
+class Scoring {
+  /**
+   * `factors` turns the profile's hint, undo and time costs on: { hints, undos, time }
+   */
+  constructor(profileName = Scoring.DEFAULT_PROFILE, factors = {}) {
+    this.setProfile(profileName);
+    this.factors = { hints: false, undos: false, time: false, ...factors };
+  }
+
+  /**
+   * Switch to another named profile
+   */
+  setProfile(profileName) {
+    const profile = Scoring.PROFILES[profileName];
+    if (!profile) {
+      throw new Error(`Unknown scoring profile: ${profileName}`);
+    }
+
+    this.profileName = profileName;
+    this.profile = profile;
+  }
+
+  /**
+   * Move thresholds for 1, 2 and 3 stars: max(minMoves × multiplier, minMoves + margin)
+   */
+  getThresholds(minMoves) {
+    const thresholds = {};
+    for (const [stars, { multiplier, margin }] of Object.entries(this.profile.stars)) {
+      thresholds[stars] = Math.max(Math.ceil(minMoves * multiplier), minMoves + margin);
+    }
+    return thresholds;
+  }
+
+  /**
+   * Thresholds for a level - its own `starsOverride` if it has one
+   */
+  getLevelThresholds(level) {
+    return level.starsOverride ? { ...level.starsOverride } : this.getThresholds(level.minMoves);
+  }
+
+  /**
+   * Stars for a play of a level. Hints and undos add moves and running over the
+   * time allowance costs a star, each only when its factor is on.
+   * Returns { stars, effectiveMoves, thresholds, penalties: [description] }.
+   */
+  score(level, { moves, hints = 0, undos = 0, time = null }) {
+    const thresholds = this.getLevelThresholds(level);
+    const penalties = [];
+    let effectiveMoves = moves;
+
+    if (this.factors.hints && hints > 0 && this.profile.hintMoves > 0) {
+      const extra = hints * this.profile.hintMoves;
+      effectiveMoves += extra;
+      penalties.push(`${hints} hint${hints === 1 ? '' : 's'}: +${extra} moves`);
+    }
+
+    if (this.factors.undos && undos > 0 && this.profile.undoMoves > 0) {
+      const extra = undos * this.profile.undoMoves;
+      effectiveMoves += extra;
+      penalties.push(`${undos} undo${undos === 1 ? '' : 's'}: +${extra} moves`);
+    }
+
+    let stars = 0;
+    if (effectiveMoves <= thresholds["3"]) stars = 3;
+    else if (effectiveMoves <= thresholds["2"]) stars = 2;
+    else if (effectiveMoves <= thresholds["1"]) stars = 1;
+
+    const allowance = this.getTimeAllowance(level);
+    if (this.factors.time && time !== null && allowance !== null && time > allowance && stars > 1) {
+      stars--;
+      penalties.push(`over ${Math.round(allowance / 1000)}s: -1 star`);
+    }
+
+    return { stars, effectiveMoves, thresholds, penalties };
+  }
+
+  /**
+   * Time (ms) a level can take before the time factor costs a star, or null if the profile has no limit
+   */
+  getTimeAllowance(level) {
+    const { secondsPerMove, minimumSeconds } = this.profile;
+    if (!secondsPerMove) return null;
+
+    return Math.max(level.minMoves * secondsPerMove, minimumSeconds) * 1000;
+  }
+}
+
+Scoring.DEFAULT_PROFILE = 'standard';
+
+// Each star is earned at max(minMoves × multiplier, minMoves + margin) moves or fewer.
+// hintMoves / undoMoves are the moves each one costs; secondsPerMove sets the time allowance.
+Scoring.PROFILES = Object.freeze({
+  relaxed: Object.freeze({
+    label: 'Relaxed',
+    stars: { 3: { multiplier: 1, margin: 2 }, 2: { multiplier: 2.5, margin: 8 }, 1: { multiplier: 4, margin: 15 } },
+    hintMoves: 1,
+    undoMoves: 0,
+    secondsPerMove: 20,
+    minimumSeconds: 120
+  }),
+  standard: Object.freeze({
+    label: 'Standard',
+    stars: { 3: { multiplier: 1, margin: 0 }, 2: { multiplier: 2, margin: 5 }, 1: { multiplier: 3, margin: 10 } },
+    hintMoves: 2,
+    undoMoves: 1,
+    secondsPerMove: 10,
+    minimumSeconds: 60
+  }),
+  strict: Object.freeze({
+    label: 'Strict',
+    stars: { 3: { multiplier: 1, margin: 0 }, 2: { multiplier: 1.5, margin: 2 }, 1: { multiplier: 2, margin: 5 } },
+    hintMoves: 3,
+    undoMoves: 2,
+    secondsPerMove: 6,
+    minimumSeconds: 30
+  })
+});
+
+// Export for the page and Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Scoring };
+} else {
+  window.Scoring = Scoring;
+}
@@ -0,0 +1,68 @@
+/**
+ * Ball Sort Puzzle - Seeded Random
+ * Small deterministic PRNG (mulberry32) so generated content is reproducible
+ */
+
+class SeededRandom {
+  /**
+   * Accepts a 32-bit integer or any string (hashed to one)
+   */
+  constructor(seed) {
+    this.state = typeof seed === 'string' ? SeededRandom.hashSeed(seed) : (seed >>> 0);
+  }
+
+  /**
+   * FNV-1a hash of a string, used to turn text seeds into numbers
+   */
+  static hashSeed(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Integer in [min, max] inclusive
+   */
+  nextInt(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Random element of an array
+   */
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Shuffle array in place (Fisher-Yates algorithm)
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+}
+
+// Export for the page and Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SeededRandom };
+} else {
+  window.SeededRandom = SeededRandom;
+}
@@ -0,0 +1,110 @@
+/**
+ * Ball Sort Puzzle - Settings
+ * Player preferences persisted in localStorage
+ */
+
+class GameSettings {
+  constructor() {
+    this.storageKey = 'ballSortSettings';
+    this.values = this.load();
+    this.listeners = [];
+  }
+
+  /**
+   * Current value of a setting
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Change a setting, save it and notify listeners
+   */
+  set(key, value) {
+    if (!(key in GameSettings.DEFAULTS)) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    this.values[key] = value;
+    this.save();
+    this.listeners.forEach(listener => listener(key, value));
+  }
+
+  /**
+   * Call `listener(key, value)` whenever a setting changes
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Whether animations should be cut down - 'system' follows prefers-reduced-motion
+   */
+  isReducedMotion() {
+    const motion = this.values.motion;
+    if (motion === 'reduced') return true;
+    if (motion === 'full') return false;
+
+    return typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Save settings to localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({
+        version: GameSettings.STORAGE_VERSION,
+        values: this.values
+      }));
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+    }
+  }
+
+  /**
+   * Load settings from localStorage, filling in defaults
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      const settings = saved ? JSON.parse(saved) : null;
+      if (settings && settings.version === GameSettings.STORAGE_VERSION) {
+        return { ...GameSettings.DEFAULTS, ...settings.values };
+      }
+    } catch (error) {
+      console.error('Failed to load settings:', error);
+    }
+
+    return { ...GameSettings.DEFAULTS };
+  }
+}
+
+GameSettings.STORAGE_VERSION = 1;
+
+GameSettings.DEFAULTS = Object.freeze({
+  // 'system' follows prefers-reduced-motion, 'reduced' or 'full' override it
+  motion: 'system',
+
+  // Show the level timer (time is recorded either way)
+  showTimer: false,
+
+  // Ball palette (see Palettes.THEMES) and whether each color also gets a symbol
+  palette: 'default',
+  ballSymbols: false,
+
+  // Sound effects, their volume (0-100) and vibration on devices that support it
+  sound: true,
+  volume: 70,
+  vibration: true,
+
+  // Scoring profile (see Scoring.PROFILES) and which extra factors it counts
+  scoringProfile: 'standard',
+  scoreHints: false,
+  scoreUndos: false,
+  scoreTime: false
+});
+
+// Export for use in other files
+window.GameSettings = GameSettings;
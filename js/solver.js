@@ -0,0 +1,88 @@
+/**
+ * Ball Sort Puzzle - Solver
+ * Breadth-first search for the shortest move sequence from any position.
+ * Loaded by the page, by js/solverWorker.js and by Node scripts.
+ */
+
+class PuzzleSolver {
+  constructor(options = {}) {
+    // Upper bound on visited positions before the search gives up
+    this.maxStates = options.maxStates || 250000;
+
+    // PuzzleEngine is a global in the page and the worker; Node loads it as a module
+    this.engine = typeof PuzzleEngine !== 'undefined'
+      ? PuzzleEngine
+      : require('./puzzleEngine.js').PuzzleEngine;
+  }
+
+  /**
+   * Find the shortest sequence of moves that solves the puzzle.
+   * `puzzle` is a PuzzleEngine state or anything createState() accepts.
+   * Steps are returned as [fromIndex, toIndex] pairs of 0-based tube indices.
+   */
+  solve(puzzle) {
+    const engine = this.engine;
+    const start = engine.createState(puzzle);
+    const startKey = engine.getStateKey(start);
+
+    if (engine.isSolved(start)) {
+      return { solvable: true, steps: [], explored: 1, truncated: false };
+    }
+
+    // Every visited position remembers how it was reached
+    const parents = new Map([[startKey, null]]);
+    let frontier = [{ state: start, key: startKey }];
+
+    while (frontier.length > 0) {
+      const nextFrontier = [];
+
+      for (const node of frontier) {
+        for (const move of engine.getLegalMoves(node.state)) {
+          const state = engine.transfer(node.state, move.from, move.to, move.amount);
+          const key = engine.getStateKey(state);
+          if (parents.has(key)) continue;
+          parents.set(key, { parentKey: node.key, move: [move.from, move.to] });
+
+          if (engine.isSolved(state)) {
+            return {
+              solvable: true,
+              steps: this.buildPath(parents, key),
+              explored: parents.size,
+              truncated: false
+            };
+          }
+
+          if (parents.size >= this.maxStates) {
+            return { solvable: false, steps: null, explored: parents.size, truncated: true };
+          }
+
+          nextFrontier.push({ state, key });
+        }
+      }
+
+      frontier = nextFrontier;
+    }
+
+    return { solvable: false, steps: null, explored: parents.size, truncated: false };
+  }
+
+  /**
+   * Walk the parent links back to the start position
+   */
+  buildPath(parents, key) {
+    const steps = [];
+    let entry = parents.get(key);
+    while (entry) {
+      steps.unshift(entry.move);
+      entry = parents.get(entry.parentKey);
+    }
+    return steps;
+  }
+}
+
+// Export for the page, the solver worker and Node
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PuzzleSolver };
+} else {
+  self.PuzzleSolver = PuzzleSolver;
+}
@@ -0,0 +1,86 @@
+/**
+ * Ball Sort Puzzle - Solver Client
+ * Promise-based front end for the solver worker, with an in-page fallback
+ */
+
+class SolverClient {
+  constructor(workerUrl = 'js/solverWorker.js') {
+    this.workerUrl = workerUrl;
+    this.worker = null;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * Solve a PuzzleEngine state and resolve with the solver result
+   */
+  solve(puzzle, options = {}) {
+    const worker = this.getWorker();
+
+    // No worker support - solve on the main thread instead
+    if (!worker) {
+      return Promise.resolve(new PuzzleSolver(options).solve(puzzle));
+    }
+
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(requestId, { resolve, reject });
+      worker.postMessage({
+        requestId,
+        puzzle,
+        options
+      });
+    });
+  }
+
+  /**
+   * Lazily start the worker
+   */
+  getWorker() {
+    if (this.worker || typeof Worker === 'undefined') return this.worker;
+
+    try {
+      this.worker = new Worker(this.workerUrl);
+      this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+    } catch (error) {
+      console.warn('Solver worker unavailable, solving on main thread:', error);
+      this.worker = null;
+    }
+
+    return this.worker;
+  }
+
+  /**
+   * Route a worker response to its pending request
+   */
+  handleMessage({ requestId, result, error }) {
+    const request = this.pending.get(requestId);
+    if (!request) return;
+
+    this.pending.delete(requestId);
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(result);
+    }
+  }
+
+  /**
+   * Fail every pending request and drop the broken worker
+   */
+  handleWorkerError(event) {
+    console.error('Solver worker error:', event.message);
+
+    for (const request of this.pending.values()) {
+      request.reject(new Error(event.message || 'Solver worker failed'));
+    }
+    this.pending.clear();
+
+    this.worker.terminate();
+    this.worker = null;
+  }
+}
+
+// Export for use in other files
+window.SolverClient = SolverClient;
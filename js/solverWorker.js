@@ -0,0 +1,17 @@
+/**
+ * Ball Sort Puzzle - Solver Worker
+ * Runs PuzzleSolver off the main thread so large levels don't block the board
+ */
+
+importScripts('puzzleEngine.js', 'solver.js');
+
+self.addEventListener('message', (event) => {
+  const { requestId, puzzle, options } = event.data;
+
+  try {
+    const result = new PuzzleSolver(options).solve(puzzle);
+    self.postMessage({ requestId, result });
+  } catch (error) {
+    self.postMessage({ requestId, error: error.message });
+  }
+});
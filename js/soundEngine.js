@@ -0,0 +1,151 @@
+/**
+ * Ball Sort Puzzle - Sound Engine
+ * Sound effects synthesized with WebAudio (nothing to download, so they work
+ * offline) and matching vibration patterns. Follows the sound, volume and
+ * vibration settings, and stays quiet while the page is in the background.
+ */
+
+class SoundEngine {
+  constructor(settings) {
+    this.settings = settings;
+    this.context = null;
+    this.output = null;
+
+    // Sounds play alongside other audio, and iOS mutes them with the ringer switch
+    if (navigator.audioSession) {
+      navigator.audioSession.type = 'ambient';
+    }
+
+    // Nothing queued up keeps playing in the background
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden' && this.context?.state === 'running') {
+        this.context.suspend().catch(() => {});
+      }
+    });
+  }
+
+  /**
+   * Play a sound effect and its vibration. `options.amount` sets how many
+   * units a pour glugs.
+   */
+  play(name, options = {}) {
+    if (!SoundEngine.SOUNDS.includes(name) || document.visibilityState === 'hidden') return;
+
+    this.vibrate(name);
+
+    const volume = this.getVolume();
+    if (volume === 0) return;
+
+    const context = this.getContext();
+    if (!context) return;
+
+    // Browsers start contexts suspended until a user gesture; an interrupted
+    // context (a call, or iOS muted) stays silent
+    if (context.state === 'suspended') {
+      context.resume().catch(() => {});
+    } else if (context.state !== 'running') {
+      return;
+    }
+
+    this.output.gain.setValueAtTime(volume, context.currentTime);
+    const start = context.currentTime + 0.01;
+    switch (name) {
+      case 'select':
+        this.tone(start, 0.06, 660, 880, 'sine', 0.4);
+        break;
+      case 'pour':
+        // One rising glug per unit, like a tube filling up
+        for (let i = 0; i < Math.max(1, options.amount || 1); i++) {
+          const frequency = 300 + i * 60;
+          this.tone(start + i * 0.07, 0.09, frequency, frequency * 1.8, 'sine', 0.5);
+        }
+        break;
+      case 'invalid':
+        this.tone(start, 0.08, 180, 140, 'square', 0.15);
+        this.tone(start + 0.1, 0.12, 150, 110, 'square', 0.15);
+        break;
+      case 'complete':
+        [523.25, 659.25, 783.99, 1046.5].forEach((frequency, i) => {
+          this.tone(start + i * 0.12, i === 3 ? 0.4 : 0.15, frequency, frequency, 'triangle', 0.4);
+        });
+        break;
+    }
+  }
+
+  /**
+   * Schedule one note: a pitch sweep with a quick attack and an exponential fade
+   */
+  tone(start, duration, fromFrequency, toFrequency, type, peak) {
+    const oscillator = this.context.createOscillator();
+    const envelope = this.context.createGain();
+
+    oscillator.type = type;
+    oscillator.frequency.setValueAtTime(fromFrequency, start);
+    oscillator.frequency.exponentialRampToValueAtTime(toFrequency, start + duration);
+
+    envelope.gain.setValueAtTime(0.0001, start);
+    envelope.gain.exponentialRampToValueAtTime(peak, start + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, start + duration);
+
+    oscillator.connect(envelope);
+    envelope.connect(this.output);
+    oscillator.start(start);
+    oscillator.stop(start + duration + 0.02);
+  }
+
+  /**
+   * Vibrate with a sound's pattern, if vibration is on and supported
+   */
+  vibrate(name) {
+    if (!this.settings.get('vibration') || typeof navigator.vibrate !== 'function') return;
+
+    try {
+      navigator.vibrate(SoundEngine.VIBRATIONS[name]);
+    } catch (error) {
+      // Some browsers throw before the first user gesture
+    }
+  }
+
+  /**
+   * Output volume from 0 to 1 - 0 when sound is off
+   */
+  getVolume() {
+    if (!this.settings.get('sound')) return 0;
+
+    const volume = Number(this.settings.get('volume'));
+    return Number.isFinite(volume) ? Math.min(Math.max(volume, 0), 100) / 100 : 0;
+  }
+
+  /**
+   * The audio context, created on first use (after a user gesture), or null without WebAudio
+   */
+  getContext() {
+    if (this.context) return this.context;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    try {
+      this.context = new AudioContextClass();
+      this.output = this.context.createGain();
+      this.output.connect(this.context.destination);
+    } catch (error) {
+      console.error('Failed to start audio:', error);
+      this.context = null;
+    }
+    return this.context;
+  }
+}
+
+SoundEngine.SOUNDS = Object.freeze(['select', 'pour', 'invalid', 'complete']);
+
+// navigator.vibrate patterns (milliseconds on, off, on...)
+SoundEngine.VIBRATIONS = Object.freeze({
+  select: 10,
+  pour: 20,
+  invalid: [40, 40, 40],
+  complete: [60, 40, 60, 40, 120]
+});
+
+// Export for use in other files
+window.SoundEngine = SoundEngine;
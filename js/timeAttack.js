@@ -0,0 +1,111 @@
+/**
+ * Ball Sort Puzzle - Time Attack
+ * Runs of levels played against a countdown, with bonus time for three-star
+ * solves and personal records kept apart from level progress
+ */
+
+class TimeAttack {
+  constructor() {
+    this.storageKey = 'ballSortTimeAttack';
+    this.records = this.loadRecords();
+  }
+
+  /**
+   * A new run over the given level ids, played in order
+   */
+  createRun(levelIds) {
+    return {
+      levelIds,
+      position: 0,
+      timeLimit: TimeAttack.SETTINGS.timeLimit,
+      bonusTime: 0,
+      levelsSolved: 0,
+      stars: 0,
+      moves: 0
+    };
+  }
+
+  /**
+   * Level id to play next in a run, or null once every level has been played
+   */
+  getCurrentLevelId(run) {
+    return run.levelIds[run.position] ?? null;
+  }
+
+  /**
+   * Count a solved level towards the run. Returns the bonus time awarded (ms).
+   */
+  recordSolve(run, moves, stars) {
+    const bonus = stars === 3 ? TimeAttack.SETTINGS.threeStarBonus : 0;
+
+    run.position++;
+    run.levelsSolved++;
+    run.stars += stars;
+    run.moves += moves;
+    run.timeLimit += bonus;
+    run.bonusTime += bonus;
+    return bonus;
+  }
+
+  /**
+   * Record a finished run against the personal records.
+   * Returns { levelsSolved, stars } flags for the records it broke.
+   */
+  finishRun(run) {
+    const previous = this.records;
+    const broken = {
+      levelsSolved: run.levelsSolved > previous.bestLevelsSolved,
+      stars: run.stars > previous.bestStars
+    };
+
+    this.records = {
+      ...previous,
+      runs: previous.runs + 1,
+      bestLevelsSolved: Math.max(previous.bestLevelsSolved, run.levelsSolved),
+      bestStars: Math.max(previous.bestStars, run.stars),
+      lastPlayed: Date.now()
+    };
+
+    this.saveRecords();
+    return broken;
+  }
+
+  /**
+   * Save records to localStorage (separate from ballSortProgress)
+   */
+  saveRecords() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.records));
+    } catch (error) {
+      console.error('Failed to save time attack records:', error);
+    }
+  }
+
+  /**
+   * Load records from localStorage
+   */
+  loadRecords() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      const records = saved ? JSON.parse(saved) : null;
+      if (records && records.version === TimeAttack.STORAGE_VERSION) {
+        return records;
+      }
+    } catch (error) {
+      console.error('Failed to load time attack records:', error);
+    }
+
+    return { version: TimeAttack.STORAGE_VERSION, runs: 0, bestLevelsSolved: 0, bestStars: 0, lastPlayed: null };
+  }
+}
+
+TimeAttack.STORAGE_VERSION = 1;
+
+// Changing these makes old records incomparable - bump STORAGE_VERSION with them
+TimeAttack.SETTINGS = Object.freeze({
+  timeLimit: 2 * 60 * 1000,
+  threeStarBonus: 15 * 1000
+});
+
+// Export for use in other files
+window.TimeAttack = TimeAttack;
@@ -0,0 +1,51 @@
+// Generated by build-precache.js - don't edit. Loaded by sw.js.
+self.PRECACHE_MANIFEST = {
+  "version": "1d3885b3",
+  "files": {
+    "index.html": "89c52045",
+    "styles.css": "3aaa0c3d",
+    "app.js": "899ef466",
+    "game.js": "7d56c1dc",
+    "manifest.json": "8cac9c49",
+    "releases.json": "c5117e64",
+    "js/boardRenderer.js": "3302726e",
+    "js/customLevels.js": "a8960b7a",
+    "js/dailyChallenge.js": "332bd10e",
+    "js/focusTrap.js": "14d42f21",
+    "js/gameSession.js": "e61eef88",
+    "js/gameTimer.js": "b5ae3f72",
+    "js/levelBundle.js": "7e519994",
+    "js/levelConverter.js": "15d5b5c8",
+    "js/levelEditor.js": "61241db6",
+    "js/levelGenerator.js": "7fbda93c",
+    "js/levelManager.js": "b1f02a90",
+    "js/levelPacks.js": "b1efb1f7",
+    "js/moveHistory.js": "a8fd334d",
+    "js/palettes.js": "fb5f53b8",
+    "js/playLog.js": "c9a745a1",
+    "js/pointerInput.js": "6d6078ca",
+    "js/progressStore.js": "33c3a807",
+    "js/progressTransfer.js": "9f541562",
+    "js/puzzleEngine.js": "763578aa",
+    "js/releaseNotes.js": "079fbc60",
+    "js/scoring.js": "c6d44d51",
+    "js/seededRandom.js": "415a5c22",
+    "js/settings.js": "6e7f8bb1",
+    "js/solver.js": "91296248",
+    "js/solverClient.js": "37e1c048",
+    "js/solverWorker.js": "0b0f8fdb",
+    "js/soundEngine.js": "8dafb868",
+    "js/timeAttack.js": "0f79de79",
+    "icons/icon-72x72.png": "1af24113",
+    "icons/icon-96x96.png": "bbfcdd20",
+    "icons/icon-128x128.png": "fb1f3e82",
+    "icons/icon-144x144.png": "a4d07301",
+    "icons/icon-152x152.png": "37e51bc5",
+    "icons/icon-192x192.png": "d72ab5aa",
+    "icons/icon-384x384.png": "d7bdd93f",
+    "icons/icon-512x512.png": "0f4c0a17",
+    "icons/icon-32x32.png": "feafc719",
+    "levels/levels-index.json": "3d3eb9f7",
+    "levels/levels.1dd93654.json": "c2a3b9ec"
+  }
+};
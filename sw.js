@@ -1,83 +1,208 @@
-const CACHE_NAME = 'hello-world-pwa-v2-debug';
-const urlsToCache = [
-  '/',
-  '/index.html',
-  '/styles.css',
-  '/app.js',
-  '/manifest.json',
-  '/icons/icon-192x192.png',
-  '/icons/icon-512x512.png'
-];
-
-// Install event - cache resources
+// Files to precache with their content hashes, generated by build-precache.js
+importScripts('precache-manifest.js');
+
+const MANIFEST = self.PRECACHE_MANIFEST;
+const PRECACHE_NAME = `ballsort-precache-${MANIFEST.version}`;
+const LEVELS_CACHE_NAME = `ballsort-levels-${MANIFEST.version}`;
+
+const PRECACHE_URLS = new Set(Object.keys(MANIFEST.files).map((file) => new URL(file, self.location.href).href));
+const INDEX_URL = new URL('index.html', self.location.href).href;
+const LEVELS_URL = new URL('levels/', self.location.href).href;
+
+// Log level - 'debug', 'info', 'warn', 'error' or 'silent'. Set with sw.js?log=debug (see app.js).
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const requestedLogLevel = LOG_LEVELS.indexOf(new URL(self.location.href).searchParams.get('log'));
+const LOG_LEVEL = requestedLogLevel >= 0 ? requestedLogLevel : LOG_LEVELS.indexOf('warn');
+
+function log(level, ...args) {
+  if (LOG_LEVELS.indexOf(level) >= LOG_LEVEL) {
+    console[level === 'debug' ? 'log' : level]('Service Worker:', ...args);
+  }
+}
+
+// Install event - precache the app shell, level index and level bundle
 self.addEventListener('install', (event) => {
-  console.log('Service Worker: Installing...');
+  log('info', `Installing ${MANIFEST.version}...`);
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Service Worker: Caching files');
-        return cache.addAll(urlsToCache);
-      })
+    caches.open(PRECACHE_NAME)
+      .then((cache) => Promise.all(
+        Object.entries(MANIFEST.files).map(([file, hash]) => precacheFile(cache, file, hash))
+      ))
       .then(() => {
-        console.log('Service Worker: Installed');
-        return self.skipWaiting();
+        // Waits for SKIP_WAITING from the page, so nobody's assets change mid-level
+        log('info', `Installed - ${PRECACHE_URLS.size} files precached`);
       })
   );
 });
 
+// Message event - the page asks a waiting worker to take over once the player agrees
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    log('info', 'Taking over');
+    self.skipWaiting();
+  }
+});
+
 // Activate event - clean up old caches
 self.addEventListener('activate', (event) => {
-  console.log('Service Worker: Activating...');
+  log('info', 'Activating...');
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames.map((cacheName) => {
-          if (cacheName !== CACHE_NAME) {
-            console.log('Service Worker: Deleting old cache:', cacheName);
+          if (cacheName !== PRECACHE_NAME && cacheName !== LEVELS_CACHE_NAME) {
+            log('info', 'Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
         })
       );
     }).then(() => {
-      console.log('Service Worker: Activated');
+      log('info', 'Activated');
       return self.clients.claim();
     })
   );
 });
 
-// Fetch event - serve cached content when offline
+// Fetch event - precached files come from the cache, level files from the
+// cache then the network, and everything else from the network then the cache
 self.addEventListener('fetch', (event) => {
-  console.log('Service Worker: Fetching:', event.request.url);
-  event.respondWith(
-    caches.match(event.request)
-      .then((response) => {
-        // Return cached version or fetch from network
-        if (response) {
-          console.log('Service Worker: Found in cache:', event.request.url);
-          return response;
-        }
-        
-        console.log('Service Worker: Fetching from network:', event.request.url);
-        return fetch(event.request).then((response) => {
-          // Don't cache if not a valid response
-          if (!response || response.status !== 200 || response.type !== 'basic') {
-            return response;
-          }
-          
-          // Clone the response
-          const responseToCache = response.clone();
-          
-          caches.open(CACHE_NAME).then((cache) => {
-            cache.put(event.request, responseToCache);
-          });
-          
-          return response;
-        });
-      })
-      .catch(() => {
-        // Show offline page if available
-        console.log('Service Worker: Network request failed, serving offline content');
-        return caches.match('/index.html');
-      })
-  );
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Other sites and non-GET requests go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  log('debug', 'Fetching:', request.url);
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (PRECACHE_URLS.has(url.href)) {
+    event.respondWith(cacheFirst(request, PRECACHE_NAME));
+  } else if (url.href.startsWith(LEVELS_URL) && url.pathname.endsWith('.json')) {
+    event.respondWith(cacheFirst(request, LEVELS_CACHE_NAME));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
 });
+
+/**
+ * Cache one manifest file, checking it against its hash. Unchanged files are
+ * taken from the previous version's cache instead of downloaded again.
+ */
+async function precacheFile(cache, file, hash) {
+  const url = new URL(file, self.location.href).href;
+
+  const cached = await caches.match(url);
+  if (cached && await hashResponse(cached.clone()) === hash) {
+    await cache.put(url, cached);
+    return;
+  }
+
+  // Skip the HTTP cache so a stale copy can't be precached
+  const response = await fetch(url, { cache: 'reload' });
+  if (!response.ok) {
+    throw new Error(`Failed to precache ${file}: ${response.status}`);
+  }
+  const actualHash = await hashResponse(response.clone());
+  if (actualHash !== hash) {
+    throw new Error(`${file} has hash ${actualHash} but the precache manifest expects ${hash} - run \`node build-precache.js\``);
+  }
+
+  log('debug', 'Precached:', file);
+  await cache.put(url, response);
+}
+
+/**
+ * Content hash of a response body (first 8 hex digits of its SHA-256, as build-precache.js computes it)
+ */
+async function hashResponse(response) {
+  const digest = await crypto.subtle.digest('SHA-256', await response.arrayBuffer());
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('')
+    .slice(0, 8);
+}
+
+/**
+ * Pages are the precached index.html; anything else is tried on the network first
+ */
+async function handleNavigation(request) {
+  const url = new URL(request.url);
+  const page = url.origin + url.pathname;
+  const isAppPage = page === new URL('./', self.location.href).href || page === INDEX_URL;
+
+  const cached = isAppPage ? await caches.match(INDEX_URL, { cacheName: PRECACHE_NAME }) : null;
+  if (cached) {
+    log('debug', 'Found in cache:', request.url);
+    return cached;
+  }
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    log('warn', 'Offline, serving the app instead of', request.url);
+    return (await caches.match(INDEX_URL)) || offlineResponse(request);
+  }
+}
+
+/**
+ * Serve from a cache, or fetch and add to it
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) {
+    log('debug', 'Found in cache:', request.url);
+    return cached;
+  }
+
+  try {
+    log('debug', 'Fetching from network:', request.url);
+    const response = await fetch(request);
+    if (response.ok && response.type === 'basic') {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    log('warn', 'Network request failed:', request.url);
+    return offlineResponse(request);
+  }
+}
+
+/**
+ * Fetch from the network, falling back to any cached copy
+ */
+async function networkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match(request);
+    if (cached) {
+      log('debug', 'Offline, found in cache:', request.url);
+      return cached;
+    }
+    log('warn', 'Network request failed:', request.url);
+    return offlineResponse(request);
+  }
+}
+
+/**
+ * 503 for a request that can't be served offline - JSON for data requests,
+ * so callers get an error status rather than a page they can't parse
+ */
+function offlineResponse(request) {
+  const url = new URL(request.url);
+  const wantsJson = url.pathname.endsWith('.json') || (request.headers.get('Accept') || '').includes('application/json');
+
+  if (wantsJson) {
+    return new Response(JSON.stringify({ error: 'offline', message: 'You are offline and this file is not cached', url: request.url }), {
+      status: 503,
+      statusText: 'Service Unavailable',
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  return new Response('You are offline and this file is not cached', {
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: { 'Content-Type': 'text/plain' }
+  });
+}
@@ -0,0 +1,548 @@
+#!/usr/bin/env node
+
+/**
+ * Ball Sort Puzzle Rules Tests
+ * Checks PuzzleEngine and PuzzleSolver without a browser: move legality and
+ * win detection under both rule sets, replaying and serializing states, and
+ * that the solver finds solutions as short as a shipped level's. Also checks
+ * the modules around the rules: progress codes and files, move history, saved
+ * sessions, progress migrations, the level bundle, scoring and the generator.
+ *
+ * Usage: node test-engine.js [levelsDir]
+ * Exits with code 1 when any check fails.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PuzzleEngine } = require('./js/puzzleEngine.js');
+const { PuzzleSolver } = require('./js/solver.js');
+const { ProgressTransfer } = require('./js/progressTransfer.js');
+const { ProgressStore } = require('./js/progressStore.js');
+const { MoveHistory } = require('./js/moveHistory.js');
+const { GameSession } = require('./js/gameSession.js');
+const { LevelBundle } = require('./js/levelBundle.js');
+const { Scoring } = require('./js/scoring.js');
+const { LevelGenerator } = require('./js/levelGenerator.js');
+const { SeededRandom } = require('./js/seededRandom.js');
+
+const { LIQUID_POURING, COLOR_SORT } = PuzzleEngine.PUZZLE_TYPES;
+
+const failures = [];
+let passed = 0;
+
+/**
+ * Record one check
+ */
+function check(name, condition, detail = '') {
+  if (condition) {
+    passed++;
+  } else {
+    failures.push(detail ? `${name} (${detail})` : name);
+  }
+}
+
+/**
+ * Build a state from [capacity, balls] pairs
+ */
+function createState(puzzleType, tubes, desiredLevel = 2) {
+  return PuzzleEngine.createState({
+    puzzleType,
+    desiredLevel,
+    tubes: tubes.map(([capacity, balls], id) => ({ id, capacity, balls }))
+  });
+}
+
+/**
+ * Liquid pouring: colors don't matter and a pour moves as much as fits
+ */
+function testLiquidPouring() {
+  const state = createState(LIQUID_POURING, [[3, ['red', 'blue']], [2, ['green']], [2, []], [1, ['red']]]);
+
+  const partial = PuzzleEngine.checkMove(state, 0, 1);
+  check('liquid: pours only what fits', partial.valid && partial.amount === 1, JSON.stringify(partial));
+  check('liquid: colors are ignored', PuzzleEngine.checkMove(state, 1, 0).valid);
+  check('liquid: pours everything into room', PuzzleEngine.checkMove(state, 0, 2).amount === 2);
+  check('liquid: empty source is illegal', PuzzleEngine.checkMove(state, 2, 0).code === 'EMPTY_SOURCE');
+  check('liquid: same tube is illegal', PuzzleEngine.checkMove(state, 0, 0).code === 'SAME_TUBE');
+  check('liquid: full destination is illegal', PuzzleEngine.checkMove(state, 0, 3).code === 'DESTINATION_FULL');
+  check('liquid: unknown tube is illegal', PuzzleEngine.checkMove(state, 0, 9).code === 'UNKNOWN_TUBE');
+
+  const { state: next, amount } = PuzzleEngine.applyMove(state, 0, 1);
+  check('liquid: applyMove moves the top units', amount === 1 && next.tubes[1].balls.join() === 'green,blue');
+  check('liquid: applyMove leaves the old state alone', state.tubes[0].balls.length === 2);
+
+  let threw = false;
+  try {
+    PuzzleEngine.applyMove(state, 2, 0);
+  } catch (error) {
+    threw = true;
+  }
+  check('liquid: applyMove throws on an illegal move', threw);
+
+  check('liquid: solved when every tube holds desiredLevel',
+    PuzzleEngine.isSolved(createState(LIQUID_POURING, [[3, ['a', 'b']], [2, ['c', 'a']]])));
+  check('liquid: not solved with a tube short',
+    !PuzzleEngine.isSolved(createState(LIQUID_POURING, [[3, ['a', 'b', 'c']], [2, ['c']]])));
+}
+
+/**
+ * Color sort: only the top run of one color moves, onto its color or an empty tube
+ */
+function testColorSort() {
+  const state = createState(COLOR_SORT, [[4, ['blue', 'red', 'red']], [4, ['red']], [4, ['blue']], [4, []], [2, ['red']]]);
+
+  const run = PuzzleEngine.checkMove(state, 0, 1);
+  check('color sort: the whole top run moves', run.valid && run.amount === 2, JSON.stringify(run));
+  check('color sort: the run is cut to the space left', PuzzleEngine.checkMove(state, 0, 4).amount === 1);
+  check('color sort: any run may go into an empty tube', PuzzleEngine.checkMove(state, 0, 3).amount === 2);
+  check('color sort: mismatched colors are illegal', PuzzleEngine.checkMove(state, 0, 2).code === 'COLOR_MISMATCH');
+  check('color sort: full destination is illegal',
+    PuzzleEngine.checkMove(createState(COLOR_SORT, [[2, ['red']], [1, ['red']]]), 0, 1).code === 'DESTINATION_FULL');
+
+  check('color sort: solved with full single-color tubes and empty ones',
+    PuzzleEngine.isSolved(createState(COLOR_SORT, [[2, ['red', 'red']], [2, []], [2, ['blue', 'blue']]])));
+  check('color sort: not solved with a partly filled tube',
+    !PuzzleEngine.isSolved(createState(COLOR_SORT, [[2, ['red', 'red']], [2, ['blue']], [2, ['blue']]])));
+  check('color sort: not solved with a mixed full tube',
+    !PuzzleEngine.isSolved(createState(COLOR_SORT, [[2, ['red', 'blue']], [2, ['blue', 'red']]])));
+}
+
+/**
+ * Replaying steps stops at the first illegal one
+ */
+function testReplay() {
+  const state = createState(COLOR_SORT, [[2, ['red', 'blue']], [2, ['blue', 'red']], [2, []]]);
+
+  const solved = PuzzleEngine.replay(state, [[0, 2], [1, 0], [1, 2]]);
+  check('replay: a solution replays to a win', solved.valid && solved.solved && solved.movesApplied === 3);
+
+  const invalid = PuzzleEngine.replay(state, [[0, 2], [0, 2]]);
+  check('replay: an illegal step is reported', !invalid.valid && invalid.failedStep === 1 && invalid.movesApplied === 1,
+    JSON.stringify({ valid: invalid.valid, failedStep: invalid.failedStep, movesApplied: invalid.movesApplied }));
+  check('replay: the state stops before the illegal step',
+    invalid.state.tubes[0].balls.join() === 'red' && invalid.state.tubes[2].balls.join() === 'blue');
+  check('replay: an illegal step is not solved', invalid.solved === false);
+}
+
+/**
+ * serialize() and deserialize() round-trip and reject bad input
+ */
+function testSerialization() {
+  for (const puzzleType of [LIQUID_POURING, COLOR_SORT]) {
+    const state = createState(puzzleType, [[3, ['red', 'blue']], [2, []], [4, ['green']]], 3);
+    const restored = PuzzleEngine.deserialize(PuzzleEngine.serialize(state));
+
+    check(`serialize: ${puzzleType} round-trips`, PuzzleEngine.serialize(restored) === PuzzleEngine.serialize(state));
+    check(`serialize: ${puzzleType} keeps its rules`,
+      restored.puzzleType === puzzleType && restored.desiredLevel === 3 &&
+      PuzzleEngine.getStateKey(restored) === PuzzleEngine.getStateKey(state));
+  }
+
+  const rejects = json => {
+    try {
+      PuzzleEngine.deserialize(json);
+      return false;
+    } catch (error) {
+      return true;
+    }
+  };
+  const serialized = JSON.parse(PuzzleEngine.serialize(createState(LIQUID_POURING, [[2, ['red']]])));
+  check('serialize: another version is rejected', rejects({ ...serialized, version: PuzzleEngine.SERIALIZATION_VERSION + 1 }));
+  check('serialize: an overfull tube is rejected', rejects({ ...serialized, tubes: [{ id: 0, capacity: 1, balls: ['a', 'b'] }] }));
+}
+
+/**
+ * The solver finds shortest solutions: a hand-checked color sort puzzle and a shipped level
+ */
+function testSolver(levelsDir) {
+  const solver = new PuzzleSolver();
+
+  const colorSort = createState(COLOR_SORT, [[2, ['red', 'blue']], [2, ['blue', 'red']], [2, []]]);
+  const colorResult = solver.solve(colorSort);
+  check('solver: color sort puzzle takes 3 moves', colorResult.solvable && colorResult.steps.length === 3,
+    JSON.stringify(colorResult.steps));
+  check('solver: color sort solution replays to a win', colorResult.solvable && PuzzleEngine.replay(colorSort, colorResult.steps).solved);
+
+  check('solver: a solved puzzle needs no moves',
+    solver.solve(createState(LIQUID_POURING, [[2, ['a', 'a']], [3, ['b', 'b']]])).steps.length === 0);
+  check('solver: an impossible puzzle is unsolvable',
+    !solver.solve(createState(LIQUID_POURING, [[1, ['a']], [1, ['b']], [1, ['c']]], 2)).solvable);
+
+  const file = 'level-001.json';
+  const level = JSON.parse(fs.readFileSync(path.join(levelsDir, file), 'utf8'));
+  const base = level.solutionIndexBase || 0;
+  const storedSteps = level.solutionSteps.map(([from, to]) => [from - base, to - base]);
+  const state = PuzzleEngine.createState(level);
+  const result = solver.solve(state);
+
+  check(`solver: ${file} stored solution replays to a win`, PuzzleEngine.replay(state, storedSteps).solved);
+  check(`solver: ${file} is solved in as many moves as its stored solution`,
+    result.solvable && result.steps.length === storedSteps.length,
+    `solver ${result.steps && result.steps.length}, stored ${storedSteps.length}`);
+  check(`solver: ${file} solution replays to a win`, result.solvable && PuzzleEngine.replay(state, result.steps).solved);
+}
+
+/**
+ * Progress codes round-trip through short level ids and reject damage
+ */
+function testProgressCodes(levelsDir) {
+  const transfer = new ProgressTransfer();
+  const keys = JSON.parse(fs.readFileSync(path.join(levelsDir, 'levels-index.json'), 'utf8')).levels.map(level => level.key);
+  const records = {};
+  keys.forEach((key, i) => {
+    records[key] = { unlocked: true, completed: i % 5 !== 4, stars: i % 4, bestMoves: i % 5 === 4 ? null : 10 + i, bestTime: i % 3 === 0 ? null : 1000 * i + 7 };
+  });
+  const expected = Object.fromEntries(Object.entries(records)
+    .filter(([, record]) => record.completed || record.stars > 0)
+    .map(([key, record]) => [key, transfer.cleanRecord(record)]));
+
+  const code = transfer.toCode(records);
+  check('progress code: round-trips every level with progress',
+    JSON.stringify(transfer.parse(code, keys)) === JSON.stringify(expected));
+  check('progress code: stays short', code.length < 20 * keys.length, `${code.length} characters for ${keys.length} levels`);
+  check('progress code: survives line breaks', JSON.stringify(transfer.parse(code.replace(/(.{40})/g, '$1\n'), keys)) === JSON.stringify(expected));
+
+  const [someKey] = Object.keys(expected);
+  const unknown = transfer.parse(code, [someKey]);
+  check('progress code: levels of another game stay unknown',
+    JSON.stringify(unknown[someKey]) === JSON.stringify(expected[someKey]) &&
+    Object.keys(unknown).filter(key => key.startsWith('#')).length === Object.keys(expected).length - 1);
+
+  const rejects = (text, message) => {
+    try {
+      transfer.parse(text, keys);
+      return false;
+    } catch (error) {
+      return error.message.includes(message);
+    }
+  };
+  const [prefix, payload, checksum] = code.split('.');
+  check('progress code: a damaged payload fails the checksum', rejects(`${prefix}.${payload.slice(0, -1)}.${checksum}`, 'damaged'));
+  check('progress code: a wrong prefix is rejected', rejects(`XYZ9.${payload}.${checksum}`, 'not a Ball Sort progress code'));
+
+  const legacyPayload = Buffer.from(JSON.stringify({ v: 1, l: [[someKey, 2, 9, 1, 1234]] })).toString('base64url');
+  const legacy = transfer.parse(`${ProgressTransfer.LEGACY_CODE_PREFIX}.${legacyPayload}.${transfer.checksum(legacyPayload)}`);
+  check('progress code: codes in the old format still import',
+    legacy[someKey] && legacy[someKey].stars === 2 && legacy[someKey].bestMoves === 9 && legacy[someKey].bestTime === 1234);
+}
+
+/**
+ * Progress files round-trip and imports merge in keeping the best of each record
+ */
+function testProgressTransfer() {
+  const transfer = new ProgressTransfer();
+  const records = {
+    'a.json': { unlocked: true, completed: true, stars: 3, bestMoves: 12, bestTime: 40000 },
+    'b.json': { unlocked: true, completed: false, stars: 0, bestMoves: null, bestTime: null }
+  };
+
+  check('progress file: round-trips', JSON.stringify(transfer.parse(transfer.toFile(records))) === JSON.stringify(records));
+  check('progress file: records are cleaned on import',
+    JSON.stringify(transfer.parseFile(JSON.stringify({ format: ProgressTransfer.FORMAT, levels: { 'a.json': { stars: 7, bestMoves: -1 } } }))['a.json']) ===
+    JSON.stringify({ unlocked: false, completed: false, stars: 3, bestMoves: null, bestTime: null }));
+
+  let message = '';
+  try {
+    transfer.parse(JSON.stringify({ ...transfer.createExport(records), schemaVersion: ProgressStore.SCHEMA_VERSION + 1 }));
+  } catch (error) {
+    message = error.message;
+  }
+  check('progress file: a newer schema is rejected', message.includes('newer version'), message);
+
+  check('progress code: the checksum is stable', transfer.checksum('abc') === transfer.checksum('abc') && /^[0-9a-f]{8}$/.test(transfer.checksum('abc')));
+  check('progress code: the checksum changes with its text', transfer.checksum('abc') !== transfer.checksum('abd'));
+
+  const merged = transfer.merge(records, {
+    'a.json': { unlocked: true, completed: true, stars: 2, bestMoves: 10, bestTime: 50000 },
+    'b.json': { unlocked: true, completed: true, stars: 1, bestMoves: 30, bestTime: null },
+    'c.json': { unlocked: true, completed: true, stars: 2, bestMoves: 8, bestTime: 9000 }
+  });
+  check('merge: keeps the most stars and the fewest moves and time',
+    JSON.stringify(merged['a.json']) === JSON.stringify({ unlocked: true, completed: true, stars: 3, bestMoves: 10, bestTime: 40000 }),
+    JSON.stringify(merged['a.json']));
+  check('merge: an imported completion counts',
+    merged['b.json'].completed && merged['b.json'].stars === 1 && merged['b.json'].bestMoves === 30 && merged['b.json'].bestTime === null);
+  check('merge: levels only in the import are added', merged['c.json'] && merged['c.json'].bestMoves === 8);
+  check('merge: the current records are left alone', records['a.json'].bestMoves === 12 && records['b.json'].completed === false);
+}
+
+/**
+ * Run a test without the warnings its rejected inputs are expected to log
+ */
+function quietly(test) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    test();
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function createStorage(items = {}) {
+  const values = new Map(Object.entries(items));
+  return {
+    getItem: key => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: key => values.delete(key)
+  };
+}
+
+/**
+ * Undo and redo walk one timeline, and recording after an undo drops the redo branch
+ */
+function testMoveHistory() {
+  const history = new MoveHistory();
+  check('history: starts empty', history.length === 0 && !history.canUndo() && !history.canRedo() && history.undo() === null);
+
+  history.record({ from: 0, to: 1, amount: 2 });
+  history.record({ from: 1, to: 2, amount: 1 });
+  history.record({ from: 2, to: 0, amount: 1 });
+
+  const undone = history.undo();
+  history.undo();
+  check('history: undo returns moves newest first', undone.from === 2 && undone.to === 0 && history.position === 1);
+  check('history: undone moves can be redone', history.canRedo() && history.length === 3);
+
+  const redone = history.redo();
+  check('history: redo returns the next move', redone.from === 1 && redone.to === 2 && history.position === 2);
+
+  history.record({ from: 0, to: 2, amount: 1 });
+  check('history: a new move drops the redo branch', history.length === 3 && !history.canRedo() && history.entries[2].from === 0);
+
+  const copy = new MoveHistory();
+  copy.restore(history.toJSON());
+  check('history: toJSON() and restore() round-trip',
+    JSON.stringify(copy.toJSON()) === JSON.stringify(history.toJSON()) && copy.position === history.position);
+  copy.undo();
+  check('history: a restored copy is independent', history.position === 3);
+
+  history.clear();
+  check('history: clear() forgets every move', history.length === 0 && !history.canUndo());
+}
+
+/**
+ * Saved sessions restore onto the same level and are rejected once anything disagrees
+ */
+function testGameSession() {
+  const levelData = {
+    puzzleType: COLOR_SORT,
+    tubes: [{ id: 0, capacity: 2, balls: ['red', 'blue'] }, { id: 1, capacity: 2, balls: ['blue', 'red'] }, { id: 2, capacity: 2, balls: [] }]
+  };
+  const history = new MoveHistory();
+  let state = PuzzleEngine.createState(levelData);
+  for (const [from, to] of [[0, 2], [1, 0]]) {
+    const result = PuzzleEngine.applyMove(state, from, to);
+    history.record({ from, to, amount: result.amount });
+    state = result.state;
+  }
+
+  const session = new GameSession(createStorage());
+  const where = { playMode: 'levels', packId: null, levelId: 1, dailyDate: null };
+  session.save(where, levelData, { puzzle: state, moves: 2, undos: 0, hints: 1, time: 5000, startTime: Date.now() }, history);
+  const saved = session.load();
+  check('session: save() and load() round-trip', saved && saved.levelId === 1 && saved.moves === 2 && saved.hints === 1);
+
+  const restored = session.restore(saved, levelData);
+  check('session: restores onto the same level',
+    restored && PuzzleEngine.getStateKey(restored.puzzle) === PuzzleEngine.getStateKey(state) &&
+    restored.history.position === 2 && restored.moves === 2);
+
+  const withUndo = { ...saved, puzzle: PuzzleEngine.serialize(PuzzleEngine.applyMove(PuzzleEngine.createState(levelData), 0, 2).state),
+    history: { ...saved.history, position: 1 } };
+  check('session: restores an undone position', session.restore(withUndo, levelData)?.history.position === 1);
+
+  const changedLevel = { ...levelData, tubes: levelData.tubes.map(tube => ({ ...tube, capacity: 3 })) };
+  check('session: another version of the level is rejected',
+    GameSession.fingerprint(changedLevel) !== saved.fingerprint && session.restore(saved, changedLevel) === null);
+  check('session: tubes that disagree with the history are rejected',
+    session.restore({ ...saved, puzzle: PuzzleEngine.serialize(PuzzleEngine.createState(levelData)) }, levelData) === null);
+  check('session: a history amount that does not replay is rejected',
+    session.restore({ ...saved, history: { ...saved.history, entries: [{ ...saved.history.entries[0], amount: 2 }, saved.history.entries[1]] } }, levelData) === null);
+  check('session: fewer moves than the history is rejected', session.restore({ ...saved, moves: 1 }, levelData) === null);
+
+  const other = new GameSession(createStorage({ ballSortSession: JSON.stringify({ ...saved, version: GameSession.STORAGE_VERSION + 1 }) }));
+  check('session: another save version is not loaded', other.load() === null);
+
+  session.clear();
+  check('session: clear() forgets the save', session.load() === null);
+}
+
+/**
+ * Old progress saves are migrated and written back; newer or broken ones are never overwritten
+ */
+function testProgressStore() {
+  const levelIndex = { levels: [{ id: 1, key: 'first.json' }, { id: 2, key: 'second.json' }] };
+  const storage = createStorage({
+    ballSortProgress: JSON.stringify({
+      version: 3,
+      levels: [{ id: 1, unlocked: true, completed: true, stars: 2, bestMoves: 14 }, { id: 2, unlocked: true }, { id: 9, completed: true }]
+    })
+  });
+  const store = new ProgressStore(storage);
+  const loaded = store.load(levelIndex);
+
+  check('progress store: schema 1 is keyed by level key',
+    loaded.schemaVersion === ProgressStore.SCHEMA_VERSION &&
+    JSON.stringify(loaded.levels['first.json']) === JSON.stringify({ unlocked: true, completed: true, stars: 2, bestMoves: 14 }) &&
+    loaded.levels['second.json'].completed === false,
+    JSON.stringify(loaded));
+  check('progress store: levels missing from the index are dropped', Object.keys(loaded.levels).length === 2);
+  check('progress store: the migrated copy is written back',
+    JSON.parse(storage.getItem('ballSortProgress')).schemaVersion === ProgressStore.SCHEMA_VERSION);
+  check('progress store: a migrated save loads unchanged',
+    JSON.stringify(new ProgressStore(storage).load(levelIndex)) === JSON.stringify(loaded));
+
+  const newer = JSON.stringify({ schemaVersion: ProgressStore.SCHEMA_VERSION + 1, levels: { 'first.json': { stars: 3 } } });
+  const newerStorage = createStorage({ ballSortProgress: newer });
+  const newerStore = new ProgressStore(newerStorage);
+  newerStore.load(levelIndex);
+  check('progress store: a newer schema is read-only', newerStore.readOnly && newerStore.save({}) === false &&
+    newerStorage.getItem('ballSortProgress') === newer);
+
+  const corruptStorage = createStorage({ ballSortProgress: '{not json' });
+  const corrupt = new ProgressStore(corruptStorage).load(levelIndex);
+  check('progress store: a corrupted save starts fresh and is backed up',
+    Object.keys(corrupt.levels).length === 0 && corruptStorage.getItem('ballSortProgress.corrupt') === '{not json');
+
+  const packStorage = createStorage();
+  new ProgressStore(packStorage, 'winter').save({ 'first.json': { stars: 1 } });
+  check('progress store: packs keep their own progress',
+    new ProgressStore(packStorage).load(levelIndex).levels['first.json'] === undefined &&
+    new ProgressStore(packStorage, 'winter').load(levelIndex).levels['first.json'].stars === 1);
+}
+
+/**
+ * The shipped bundle agrees with its index, and verify() notices when it doesn't
+ */
+function testLevelBundle(levelsDir) {
+  const levelIndex = JSON.parse(fs.readFileSync(path.join(levelsDir, 'levels-index.json'), 'utf8'));
+  const bundle = JSON.parse(fs.readFileSync(path.join(levelsDir, levelIndex.bundle.file), 'utf8'));
+
+  const problems = LevelBundle.verify(bundle, levelIndex);
+  check('bundle: the shipped bundle matches its index', problems.length === 0, problems.join('; '));
+
+  const first = JSON.parse(fs.readFileSync(path.join(levelsDir, levelIndex.levels[0].file), 'utf8'));
+  check('bundle: decoding gives back the level file',
+    JSON.stringify(LevelBundle.decode(bundle, first.levelId).tubes) === JSON.stringify(first.tubes.map(({ id, balls, capacity }) => ({ id, balls, capacity }))));
+
+  const reports = (changedBundle, changedIndex, text) =>
+    LevelBundle.verify(changedBundle, changedIndex).some(problem => problem.includes(text));
+  const edited = JSON.parse(JSON.stringify(bundle));
+  edited.levels[0][2].minMoves++;
+  check('bundle: edited levels fail the hash', reports(edited, levelIndex, 'hash to'));
+
+  const swapped = { ...bundle, levels: [bundle.levels[1], bundle.levels[0], ...bundle.levels.slice(2)] };
+  swapped.hash = LevelBundle.hash(swapped.levels);
+  check('bundle: re-ordered levels are reported',
+    reports(swapped, { ...levelIndex, bundle: { ...levelIndex.bundle, hash: swapped.hash } }, 'is not at position 1'));
+
+  const rekeyed = { ...levelIndex, levels: [{ ...levelIndex.levels[0], key: 'other.json' }, ...levelIndex.levels.slice(1)] };
+  check('bundle: a changed key is reported', reports(bundle, rekeyed, 'has key'));
+  check('bundle: another bundle hash in the index is reported',
+    reports(bundle, { ...levelIndex, bundle: { ...levelIndex.bundle, hash: '00000000' } }, 'Index expects bundle'));
+  check('bundle: a missing level is reported',
+    reports(bundle, { ...levelIndex, levels: levelIndex.levels.slice(1) }, 'Bundle has'));
+}
+
+/**
+ * Each profile's thresholds, level overrides and the optional penalties
+ */
+function testScoring() {
+  const thresholds = profileName => JSON.stringify(new Scoring(profileName).getThresholds(10));
+  check('scoring: standard thresholds', thresholds('standard') === JSON.stringify({ 1: 30, 2: 20, 3: 10 }), thresholds('standard'));
+  check('scoring: relaxed thresholds', thresholds('relaxed') === JSON.stringify({ 1: 40, 2: 25, 3: 12 }), thresholds('relaxed'));
+  check('scoring: strict thresholds', thresholds('strict') === JSON.stringify({ 1: 20, 2: 15, 3: 10 }), thresholds('strict'));
+  check('scoring: margins win for short levels', JSON.stringify(new Scoring().getThresholds(2)) === JSON.stringify({ 1: 12, 2: 7, 3: 2 }));
+
+  const level = { minMoves: 10 };
+  const scoring = new Scoring();
+  check('scoring: stars follow the thresholds',
+    scoring.score(level, { moves: 10 }).stars === 3 && scoring.score(level, { moves: 11 }).stars === 2 &&
+    scoring.score(level, { moves: 30 }).stars === 1 && scoring.score(level, { moves: 31 }).stars === 0);
+
+  const override = { 1: 14, 2: 12, 3: 11 };
+  const pinned = { minMoves: 10, starsOverride: override };
+  check('scoring: starsOverride applies under every profile',
+    Object.keys(Scoring.PROFILES).every(profileName =>
+      JSON.stringify(new Scoring(profileName).getLevelThresholds(pinned)) === JSON.stringify(override)));
+  check('scoring: starsOverride decides the stars', scoring.score(pinned, { moves: 12 }).stars === 2 && scoring.score(pinned, { moves: 15 }).stars === 0);
+
+  check('scoring: hints and undos are free unless turned on', scoring.score(level, { moves: 10, hints: 2, undos: 3 }).stars === 3);
+  const strict = new Scoring('standard', { hints: true, undos: true, time: true });
+  const penalised = strict.score(level, { moves: 10, hints: 2, undos: 3 });
+  check('scoring: hints and undos add moves when turned on',
+    penalised.effectiveMoves === 10 + 2 * 2 + 3 * 1 && penalised.stars === 2 && penalised.penalties.length === 2,
+    JSON.stringify(penalised));
+  check('scoring: running over the time allowance costs a star',
+    strict.score(level, { moves: 10, time: 100001 }).stars === 2 && strict.score(level, { moves: 10, time: 100000 }).stars === 3);
+
+  let threw = false;
+  try {
+    new Scoring('impossible');
+  } catch (error) {
+    threw = true;
+  }
+  check('scoring: an unknown profile is rejected', threw);
+}
+
+/**
+ * The generator gives the same level for the same seed and only accepts what it asked for
+ */
+function testGenerator() {
+  const sequence = random => [1, 2, 3, 4, 5].map(() => random.nextInt(0, 1000));
+  const options = { seed: 'test', tubeCount: 4, capacityMin: 2, capacityMax: 4, desiredLevel: 2, minMoves: 3, maxMoves: 6, levelId: 1 };
+  const level = new LevelGenerator().generate(options);
+  check('generator: finds a level', level !== null);
+  if (!level) return;
+
+  check('generator: the same seed gives the same level', JSON.stringify(new LevelGenerator().generate(options)) === JSON.stringify(level));
+  check('generator: another seed gives another level',
+    JSON.stringify(new LevelGenerator().generate({ ...options, seed: 'other' })) !== JSON.stringify(level));
+  check('generator: seeds decide the random numbers',
+    JSON.stringify(sequence(new SeededRandom('test'))) === JSON.stringify(sequence(new SeededRandom('test'))) &&
+    JSON.stringify(sequence(new SeededRandom('test'))) !== JSON.stringify(sequence(new SeededRandom('other'))));
+
+  const state = PuzzleEngine.createState(level);
+  check('generator: minMoves is in the requested range', level.minMoves >= options.minMoves && level.minMoves <= options.maxMoves,
+    `minMoves ${level.minMoves}`);
+  check('generator: the solution replays to a win', PuzzleEngine.replay(state, level.solutionSteps).solved &&
+    level.solutionSteps.length === level.minMoves);
+  check('generator: minMoves is optimal', new PuzzleSolver().solve(state).steps.length === level.minMoves);
+}
+
+// Run the tests if called directly
+if (require.main === module) {
+  const levelsDir = process.argv[2] || path.join(__dirname, 'levels');
+
+  try {
+    testLiquidPouring();
+    testColorSort();
+    testReplay();
+    testSerialization();
+    testSolver(levelsDir);
+    testProgressCodes(levelsDir);
+    testProgressTransfer();
+    testMoveHistory();
+    quietly(testGameSession);
+    quietly(testProgressStore);
+    testLevelBundle(levelsDir);
+    testScoring();
+    testGenerator();
+  } catch (error) {
+    failures.push(`Crashed: ${error.stack}`);
+  }
+
+  if (failures.length === 0) {
+    console.log(`✅ All ${passed} checks passed`);
+  } else {
+    console.log(`❌ ${failures.length} check(s) failed (${passed} passed):`);
+    for (const failure of failures) {
+      console.log(`   ${failure}`);
+    }
+  }
+  process.exitCode = failures.length > 0 ? 1 : 0;
+}
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+/**
+ * Ball Sort Puzzle Level Validator
+ * Checks every level listed in levels-index.json for schema errors, solvability,
+ * optimal move counts, working reference solutions and sane star thresholds,
+ * and that the level bundle matches the index and the level files.
+ *
+ * Usage: node validate-levels.js [levelsDir]
+ * Exits with code 1 when any problem is found.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PuzzleEngine } = require('./js/puzzleEngine.js');
+const { PuzzleSolver } = require('./js/solver.js');
+const { LevelManager } = require('./js/levelManager.js');
+const { LevelBundle } = require('./js/levelBundle.js');
+
+class LevelValidator {
+  constructor(levelsDir) {
+    this.levelsDir = levelsDir;
+    this.levelManager = new LevelManager();
+    this.solver = new PuzzleSolver();
+    this.problems = [];
+    this.results = [];
+  }
+
+  /**
+   * Record a problem, optionally tied to a level file
+   */
+  addProblem(file, message) {
+    this.problems.push({ file, message });
+  }
+
+  /**
+   * Read and parse a JSON file, recording a problem on failure
+   */
+  readJson(file) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.levelsDir, file), 'utf8'));
+    } catch (error) {
+      this.addProblem(file, `Cannot read file: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Validate the index and every level it lists
+   */
+  run() {
+    const levelIndex = this.readJson('levels-index.json');
+    if (!levelIndex) return this.report();
+
+    if (!Array.isArray(levelIndex.levels)) {
+      this.addProblem('levels-index.json', 'Missing "levels" array');
+      return this.report();
+    }
+
+    this.checkIndex(levelIndex);
+    this.checkBundle(levelIndex);
+
+    for (const levelInfo of levelIndex.levels) {
+      this.checkLevel(levelInfo);
+    }
+
+    return this.report();
+  }
+
+  /**
+   * Index-level checks: duplicates, counts, difficulty lists and stray files
+   */
+  checkIndex(levelIndex) {
+    const seenIds = new Set();
+    const seenFiles = new Set();
+    const seenKeys = new Set();
+
+    for (const levelInfo of levelIndex.levels) {
+      if (seenIds.has(levelInfo.id)) {
+        this.addProblem('levels-index.json', `Duplicate level id ${levelInfo.id}`);
+      }
+      seenIds.add(levelInfo.id);
+
+      if (seenFiles.has(levelInfo.file)) {
+        this.addProblem('levels-index.json', `File ${levelInfo.file} is listed more than once`);
+      }
+      seenFiles.add(levelInfo.file);
+
+      // Saved progress is keyed by level key, so it must exist and be unique
+      if (!levelInfo.key) {
+        this.addProblem('levels-index.json', `Level ${levelInfo.id} has no "key"`);
+      } else if (seenKeys.has(levelInfo.key)) {
+        this.addProblem('levels-index.json', `Key "${levelInfo.key}" is used by more than one level`);
+      }
+      seenKeys.add(levelInfo.key);
+    }
+
+    if (levelIndex.totalLevels !== levelIndex.levels.length) {
+      this.addProblem('levels-index.json', `totalLevels is ${levelIndex.totalLevels} but ${levelIndex.levels.length} levels are listed`);
+    }
+
+    // Difficulty lists must reference real levels with the same difficulty
+    for (const [difficulty, category] of Object.entries(levelIndex.difficulties || {})) {
+      for (const levelId of category.levels || []) {
+        const levelInfo = levelIndex.levels.find(l => l.id === levelId);
+        if (!levelInfo) {
+          this.addProblem('levels-index.json', `Difficulty "${difficulty}" lists unknown level ${levelId}`);
+        } else if (levelInfo.difficulty !== difficulty) {
+          this.addProblem('levels-index.json', `Level ${levelId} is "${levelInfo.difficulty}" but listed under "${difficulty}"`);
+        }
+      }
+    }
+
+    // Level files on disk that the index doesn't know about
+    const levelFiles = fs.readdirSync(this.levelsDir).filter(file => /^level-\d+\.json$/.test(file));
+    for (const file of levelFiles) {
+      if (!seenFiles.has(file)) {
+        this.addProblem(file, 'Level file is not listed in levels-index.json');
+      }
+    }
+  }
+
+  /**
+   * The level bundle the game loads must match the index and the level files
+   */
+  checkBundle(levelIndex) {
+    const rebuild = 'run `node convert-levels.js --bundle-only`';
+    if (!levelIndex.bundle) {
+      this.addProblem('levels-index.json', `No level bundle - ${rebuild}`);
+      return;
+    }
+
+    const bundleFile = levelIndex.bundle.file;
+    for (const file of fs.readdirSync(this.levelsDir)) {
+      if (/^levels\.[0-9a-f]{8}\.json$/.test(file) && file !== bundleFile) {
+        this.addProblem(file, 'Old level bundle that the index does not use');
+      }
+    }
+
+    const bundle = this.readJson(bundleFile);
+    if (!bundle) return;
+
+    for (const problem of LevelBundle.verify(bundle, levelIndex)) {
+      this.addProblem(bundleFile, problem);
+    }
+    if (bundleFile !== LevelBundle.fileName(bundle.hash)) {
+      this.addProblem(bundleFile, `File name does not match the bundle hash ${bundle.hash}`);
+    }
+
+    for (const levelInfo of levelIndex.levels) {
+      if (!fs.existsSync(path.join(this.levelsDir, levelInfo.file)) || !bundle.levels.some(([id]) => id === levelInfo.id)) continue;
+
+      const bundled = JSON.stringify(LevelBundle.decode(bundle, levelInfo.id));
+      const levelData = JSON.stringify(JSON.parse(fs.readFileSync(path.join(this.levelsDir, levelInfo.file), 'utf8')));
+      if (bundled !== levelData) {
+        this.addProblem(bundleFile, `Level ${levelInfo.id} differs from ${levelInfo.file} - ${rebuild}`);
+      }
+    }
+  }
+
+  /**
+   * Per-level checks against its index entry and the puzzle rules
+   */
+  checkLevel(levelInfo) {
+    const file = levelInfo.file;
+    const result = { id: levelInfo.id, file, solvable: null, optimal: null, minMoves: null, solution: null, stars: null };
+    this.results.push(result);
+
+    if (!fs.existsSync(path.join(this.levelsDir, file))) {
+      this.addProblem(file, `Listed in index as level ${levelInfo.id} but the file does not exist`);
+      return;
+    }
+
+    const levelData = this.readJson(file);
+    if (!levelData) return;
+
+    if (!this.levelManager.validateLevel(levelData)) {
+      this.addProblem(file, 'Fails LevelManager.validateLevel() schema checks');
+      return;
+    }
+
+    // Same normalization the game applies on load (0-based solution steps)
+    const level = this.levelManager.normalizeLevel(levelData);
+
+    if (level.levelId !== levelInfo.id) {
+      this.addProblem(file, `levelId is ${level.levelId} but the index lists it as level ${levelInfo.id}`);
+    }
+
+    const key = this.levelManager.getLevelKey(level);
+    if (levelInfo.key && levelInfo.key !== key) {
+      this.addProblem(file, `Index key is "${levelInfo.key}" but the level's key is "${key}"`);
+    }
+
+    if (level.difficulty !== levelInfo.difficulty) {
+      this.addProblem(file, `difficulty is "${level.difficulty}" but the index says "${levelInfo.difficulty}"`);
+    }
+
+    const state = PuzzleEngine.createState(level);
+    result.minMoves = level.minMoves;
+
+    // Solvability and the true optimum
+    const solution = this.solver.solve(state);
+    result.solvable = solution.solvable;
+    if (!solution.solvable) {
+      this.addProblem(file, solution.truncated ? 'Solver gave up before finding a solution' : 'Level cannot be solved');
+    } else {
+      result.optimal = solution.steps.length;
+      if (level.minMoves !== result.optimal) {
+        this.addProblem(file, `minMoves is ${level.minMoves} but the optimal solution takes ${result.optimal} moves`);
+      }
+    }
+
+    // Reference solution must replay to a win
+    if (level.solutionSteps.length > 0) {
+      const steps = level.solutionSteps;
+      const replay = PuzzleEngine.replay(state, steps);
+      result.solution = replay.valid && replay.solved;
+
+      if (!replay.valid) {
+        this.addProblem(file, `solutionSteps step ${replay.failedStep + 1} is illegal: ${replay.reason}`);
+      } else if (!replay.solved) {
+        this.addProblem(file, `solutionSteps replay ${steps.length} moves but do not solve the level`);
+      }
+    }
+
+    result.stars = this.checkStars(file, level, result.optimal);
+  }
+
+  /**
+   * Thresholds come from minMoves unless `starsOverride` pins them; a `stars` field would be ignored
+   */
+  checkStars(file, level, optimal) {
+    let ok = true;
+
+    if (level.stars !== undefined) {
+      this.addProblem(file, 'stars has no effect - thresholds come from minMoves, put custom ones in starsOverride');
+      ok = false;
+    }
+
+    if (level.starsOverride !== undefined) {
+      ok = this.checkThresholds(file, 'starsOverride', level.starsOverride, optimal) && ok;
+    }
+
+    return ok;
+  }
+
+  /**
+   * Star thresholds must be ordered (3 <= 2 <= 1) and 3 stars must be reachable
+   */
+  checkThresholds(file, field, stars, optimal) {
+    const thresholds = ['1', '2', '3'].map(key => stars && stars[key]);
+    if (!thresholds.every(value => Number.isInteger(value) && value > 0)) {
+      this.addProblem(file, `${field} must define positive integer thresholds for "1", "2" and "3"`);
+      return false;
+    }
+
+    const [one, two, three] = thresholds;
+    let ok = true;
+
+    if (!(three <= two && two <= one)) {
+      this.addProblem(file, `${field} thresholds are out of order: 3★ ${three}, 2★ ${two}, 1★ ${one}`);
+      ok = false;
+    }
+
+    if (optimal !== null && three < optimal) {
+      this.addProblem(file, `${field} 3★ needs ${three} moves but the optimal solution takes ${optimal}`);
+      ok = false;
+    }
+
+    return ok;
+  }
+
+  /**
+   * Print a per-level table and the problem list
+   */
+  report() {
+    const mark = value => value === null ? '–' : (value ? '✔' : '✘');
+
+    for (const result of this.results) {
+      const moves = result.optimal === null
+        ? `minMoves ${result.minMoves ?? '?'}`
+        : `optimal ${result.optimal} / minMoves ${result.minMoves}`;
+      console.log(`${result.file.padEnd(16)} solvable ${mark(result.solvable)}  ${moves.padEnd(24)} solution ${mark(result.solution)}  stars ${mark(result.stars)}`);
+    }
+
+    if (this.problems.length === 0) {
+      console.log(`\n✅ All ${this.results.length} levels are valid`);
+    } else {
+      console.log(`\n❌ Found ${this.problems.length} problem(s):`);
+      for (const problem of this.problems) {
+        console.log(`   ${problem.file}: ${problem.message}`);
+      }
+    }
+
+    return { results: this.results, problems: this.problems };
+  }
+}
+
+// Run validation if called directly
+if (require.main === module) {
+  const levelsDir = process.argv[2] || path.join(__dirname, 'levels');
+  const { problems } = new LevelValidator(levelsDir).run();
+  process.exitCode = problems.length > 0 ? 1 : 0;
+}
+
+module.exports = { LevelValidator };